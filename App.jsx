@@ -2,6 +2,8 @@ import React from 'react';
 import { HashRouter as Router, Routes, Route } from 'react-router-dom';
 import LandingPage from './LandingPage.jsx';
 import TriviaGame from './TriviaGame.jsx';
+import DisplayScreen from './DisplayScreen.jsx';
+import HistoryScreen from './HistoryScreen.jsx';
 
 const App = () => {
     return (
@@ -10,6 +12,9 @@ const App = () => {
                 <Route path="/" element={<LandingPage />} />
                 <Route path="/game" element={<TriviaGame />} />
                 <Route path="/game/:code" element={<TriviaGame prefillFromRoute={true} />} />
+                <Route path="/display/:code" element={<DisplayScreen />} />
+                <Route path="/history" element={<HistoryScreen />} />
+                <Route path="/history/:gameId" element={<HistoryScreen />} />
             </Routes>
         </Router>
     );
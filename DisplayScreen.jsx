@@ -0,0 +1,164 @@
+import React from 'react';
+import { useParams } from 'react-router-dom';
+import { QRCodeSVG } from 'qrcode.react';
+import { useFirebase, useGameState, useCountdown, isPlayingQuestion, getQuestionSettings, getPlayableQuestionCount, getRound, getRoundIndex, getRoundPhase, getWagerQuestionIndex, AnswerDistribution, ExplanationCard, LiveLeaderboard, QuestionAnswers, QuestionMedia, RoundBadge, RoundIntroCard, WagerBadge, WagerCard } from './TriviaGame.jsx';
+
+/**
+ * Big-screen "TV" view for a game: /display/:code
+ * Read-only, so anyone can open it on a shared screen without host privileges.
+ */
+const DisplayScreen = () => {
+    const { code = '' } = useParams();
+    const gameCode = code.toUpperCase().substring(0, 4);
+    const { db, isLoading } = useFirebase();
+    const { lobbyState, players, gameExists } = useGameState(db, gameCode);
+
+    if (isLoading || (gameExists && !lobbyState)) {
+        return <FullScreenMessage>Loading game {gameCode}...</FullScreenMessage>;
+    }
+
+    if (!gameExists) {
+        return <FullScreenMessage>Game {gameCode} doesn't exist or has ended.</FullScreenMessage>;
+    }
+
+    if (lobbyState.status === 'LOBBY' || lobbyState.status === 'UPLOAD') {
+        return <DisplayLobby gameCode={gameCode} players={players} />;
+    }
+
+    if (lobbyState.status === 'PLAYING') {
+        return <DisplayQuestion gameCode={gameCode} lobbyState={lobbyState} players={players} />;
+    }
+
+    return (
+        <div className="min-h-screen bg-gray-900 text-white p-8 md:p-12 flex flex-col items-center">
+            <h1 className="text-6xl md:text-8xl font-extrabold text-red-500 mb-8 text-center animate-fade-in-down">GAME OVER</h1>
+            <div className="w-full max-w-4xl text-2xl">
+                <LiveLeaderboard players={players} title="Final Results" />
+            </div>
+        </div>
+    );
+};
+
+const FullScreenMessage = ({ children }) => (
+    <div className="min-h-screen flex items-center justify-center bg-gray-900 text-white p-8">
+        <p className="text-3xl md:text-4xl font-bold text-center">{children}</p>
+    </div>
+);
+
+const DisplayLobby = ({ gameCode, players }) => {
+    const inviteUrl = `${window.location.origin}/#/game/${gameCode}`;
+    const joinedPlayers = players.filter(p => !p.isHost);
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-gray-900 text-white p-8 md:p-12 flex flex-col items-center">
+            <h1 className="text-5xl md:text-7xl font-extrabold mb-8 text-center">Smartish</h1>
+
+            <div className="flex flex-col lg:flex-row items-center gap-10 lg:gap-16 mb-10">
+                <div className="text-center">
+                    <p className="text-2xl md:text-3xl text-indigo-200 font-semibold mb-2">Room Code</p>
+                    <p className="text-8xl md:text-9xl font-black tracking-widest text-yellow-300">{gameCode}</p>
+                    <p className="mt-4 text-xl md:text-2xl text-indigo-200 break-all">{window.location.host}</p>
+                </div>
+                <div className="bg-white p-4 rounded-2xl shadow-2xl">
+                    <QRCodeSVG value={inviteUrl} size={256} />
+                    <p className="mt-2 text-center text-gray-900 font-bold text-lg">Scan to join</p>
+                </div>
+            </div>
+
+            <div className="w-full max-w-5xl">
+                <h2 className="text-3xl font-bold mb-4 text-center">Players ({joinedPlayers.length})</h2>
+                <div className="flex flex-wrap justify-center gap-3">
+                    {joinedPlayers.map(player => (
+                        <span key={player.id} className="px-5 py-3 bg-white/10 rounded-xl text-2xl font-bold animate-fade-in-down">
+                            {player.name}
+                        </span>
+                    ))}
+                </div>
+                {joinedPlayers.length === 0 && (
+                    <p className="text-2xl text-yellow-300 text-center animate-pulse">Waiting for players to join...</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const DisplayQuestion = ({ gameCode, lobbyState, players }) => {
+    const timeRemaining = useCountdown(lobbyState.currentQuestionStartTime, getQuestionSettings(lobbyState).secondsPerQuestion);
+
+    const questionIndex = lobbyState.currentQuestionIndex;
+    const currentQuestion = lobbyState.currentQuestion;
+    const showAnswers = lobbyState.revealedQuestionIndex === questionIndex;
+    const isScored = lobbyState.scoredQuestionIndex === questionIndex;
+    const activePlayers = players.filter(p => isPlayingQuestion(p, questionIndex));
+    const answersSubmitted = activePlayers.filter(p => p.lastAnswer !== null).length;
+    const roundPhase = getRoundPhase(lobbyState);
+    const round = getRound(lobbyState);
+
+    if (roundPhase === 'INTRO') {
+        return (
+            <div className="min-h-screen bg-gray-900 text-white p-8 md:p-12 flex flex-col items-center justify-center">
+                <RoundIntroCard lobbyState={lobbyState} roundIndex={getRoundIndex(lobbyState)} size="large" />
+            </div>
+        );
+    }
+
+    if (roundPhase === 'WAGER') {
+        return (
+            <div className="min-h-screen bg-gray-900 text-white p-8 md:p-12 flex flex-col items-center justify-center">
+                <WagerCard lobbyState={lobbyState} players={players} size="large" />
+            </div>
+        );
+    }
+
+    if (roundPhase === 'LEADERBOARD') {
+        return (
+            <div className="min-h-screen bg-gray-900 text-white p-8 md:p-12 flex flex-col items-center">
+                <h1 className="text-5xl md:text-7xl font-extrabold text-yellow-300 mb-8 text-center animate-fade-in-down">End of {round?.name || 'the round'}</h1>
+                <div className="w-full max-w-4xl text-2xl">
+                    <LiveLeaderboard players={players} title="Standings" />
+                </div>
+            </div>
+        );
+    }
+
+    if (!currentQuestion) return <FullScreenMessage>Get ready...</FullScreenMessage>;
+
+    return (
+        <div className="min-h-screen bg-gray-900 text-white p-8 md:p-12 flex flex-col items-center">
+            <div className="w-full max-w-6xl flex items-center justify-between mb-6 text-2xl md:text-3xl font-semibold text-gray-400">
+                <span>Question {questionIndex + 1} of {getPlayableQuestionCount(lobbyState)}{round && <RoundBadge round={round} />}{questionIndex === getWagerQuestionIndex(lobbyState) && <WagerBadge />}</span>
+                <span>Room {gameCode}</span>
+            </div>
+
+            <div className="w-full max-w-6xl bg-gray-800 p-8 md:p-10 rounded-3xl shadow-2xl mb-8">
+                <h2 className="text-4xl md:text-5xl font-bold text-center mb-8 break-words leading-tight">{currentQuestion.question}</h2>
+                <QuestionMedia question={currentQuestion} startTime={lobbyState.currentQuestionStartTime} size="large" />
+                <QuestionAnswers question={currentQuestion} correctAnswer={lobbyState.revealedAnswer} showAnswers={showAnswers} size="large" />
+            </div>
+
+            {showAnswers && <AnswerDistribution lobbyState={lobbyState} players={players} size="large" />}
+
+            <ExplanationCard lobbyState={lobbyState} size="large" />
+
+            {!showAnswers ? (
+                <div className="flex items-center gap-16">
+                    <div className={`text-8xl md:text-9xl font-black ${timeRemaining <= 10 ? 'text-red-500 animate-pulse' : 'text-yellow-400'}`}>
+                        {timeRemaining}
+                    </div>
+                    <div className="text-center">
+                        <p className="text-6xl md:text-7xl font-black text-white">{answersSubmitted} / {activePlayers.length}</p>
+                        <p className="text-2xl text-gray-400 font-semibold">answered</p>
+                    </div>
+                </div>
+            ) : isScored ? (
+                <div className="w-full max-w-4xl text-2xl animate-fade-in-down">
+                    <LiveLeaderboard players={players} title="Leaderboard" />
+                </div>
+            ) : (
+                <p className="text-3xl font-bold text-yellow-400 animate-pulse">Tallying scores...</p>
+            )}
+        </div>
+    );
+};
+
+export default DisplayScreen;
@@ -0,0 +1,182 @@
+import React, { useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import { useFirebase, useGameHistory, formatAnswer, ResultsExportPanel } from './TriviaGame.jsx';
+
+/**
+ * Games the current user hosted, saved when each game reached its results: /history and /history/:gameId
+ * The saveGameHistory function stores them under the (anonymous) Firebase user who created the
+ * game, so they're listed in the browser the games were hosted from.
+ */
+const HistoryScreen = () => {
+    const { gameId } = useParams();
+    const { db, userId, isLoading } = useFirebase();
+    const games = useGameHistory(db, userId);
+
+    if (isLoading || (userId && games === null)) {
+        return <FullScreenMessage>Loading your games...</FullScreenMessage>;
+    }
+
+    if (gameId) {
+        const game = (games || []).find(g => g.id === gameId);
+        if (!game) return <FullScreenMessage>That game isn't in your history.</FullScreenMessage>;
+        return <GameDetail game={game} />;
+    }
+
+    return <GameList games={games || []} />;
+};
+
+const FullScreenMessage = ({ children }) => (
+    <div className="min-h-screen flex flex-col items-center justify-center bg-gray-900 text-white p-8 gap-6">
+        <p className="text-2xl md:text-3xl font-bold text-center">{children}</p>
+        <a href="#/history" className="text-indigo-400 underline">Back to your games</a>
+    </div>
+);
+
+const formatDate = (timestamp) => timestamp?.toDate?.().toLocaleString() || '';
+
+const formatPercent = (share) => (share === null ? '–' : `${Math.round(share * 100)}%`);
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(2)}s`;
+
+/**
+ * Per-question accuracy (share of the players who had the question that got it right),
+ * the question with the lowest accuracy and the quickest correct answer of the game.
+ */
+const getGameStats = ({ questions = [], players = [] }) => {
+    const questionStats = questions.map((question, index) => {
+        const entries = players.map(player => player.answers?.[index]).filter(Boolean);
+        const correctCount = entries.filter(entry => entry.correct).length;
+        return {
+            index,
+            question,
+            playedCount: entries.length,
+            correctCount,
+            accuracy: entries.length > 0 ? correctCount / entries.length : null,
+        };
+    });
+
+    const hardestQuestion = questionStats
+        .filter(stat => stat.accuracy !== null)
+        .reduce((hardest, stat) => (!hardest || stat.accuracy < hardest.accuracy ? stat : hardest), null);
+
+    let fastestCorrect = null;
+    players.forEach(player => {
+        Object.entries(player.answers || {}).forEach(([index, entry]) => {
+            if (!entry.correct || typeof entry.responseMs !== 'number') return;
+            if (!fastestCorrect || entry.responseMs < fastestCorrect.responseMs) {
+                fastestCorrect = { playerName: player.name, question: questions[index], responseMs: entry.responseMs };
+            }
+        });
+    });
+
+    return { questionStats, hardestQuestion, fastestCorrect };
+};
+
+const GameList = ({ games }) => (
+    <div className="min-h-screen bg-gray-900 text-white p-4 md:p-8 flex flex-col items-center">
+        <h1 className="text-4xl md:text-5xl font-extrabold text-yellow-400 mb-2 text-center">📜 Past Games</h1>
+        <a href="#/game" className="mb-6 text-indigo-400 underline">Back to the game</a>
+
+        <div className="w-full max-w-3xl space-y-3">
+            {games.map(game => (
+                <a
+                    key={game.id}
+                    href={`#/history/${game.id}`}
+                    className="block p-4 bg-gray-800 rounded-xl shadow-lg hover:bg-gray-700 transition duration-200"
+                >
+                    <div className="flex items-center justify-between gap-2">
+                        <span className="text-xl font-black tracking-widest">{game.gameCode}</span>
+                        <span className="text-sm text-gray-400">{formatDate(game.endedAt)}</span>
+                    </div>
+                    <p className="text-sm text-gray-300 mt-1">
+                        {game.playerCount} player{game.playerCount === 1 ? '' : 's'} · {game.questionCount} question{game.questionCount === 1 ? '' : 's'}
+                        {game.winner && <> · 🏆 {game.winner}</>}
+                    </p>
+                </a>
+            ))}
+            {games.length === 0 && (
+                <p className="text-center text-gray-400 italic">No games yet. Games you host are saved here when you close the room.</p>
+            )}
+        </div>
+    </div>
+);
+
+const GameDetail = ({ game }) => {
+    const { questionStats, hardestQuestion, fastestCorrect } = useMemo(() => getGameStats(game), [game]);
+
+    return (
+        <div className="min-h-screen bg-gray-900 text-white p-4 md:p-8 flex flex-col items-center">
+            <h1 className="text-4xl md:text-5xl font-extrabold text-yellow-400 mb-1 text-center">Game {game.gameCode}</h1>
+            <p className="text-gray-400 mb-2">{formatDate(game.endedAt)}</p>
+            <a href="#/history" className="mb-6 text-indigo-400 underline">All past games</a>
+
+            <div className="w-full max-w-4xl grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                <div className="p-4 bg-gray-800 rounded-2xl shadow-xl">
+                    <h2 className="text-lg font-bold text-red-400 mb-2">🧠 Hardest Question</h2>
+                    {hardestQuestion ? (
+                        <>
+                            <p className="font-semibold break-words">{hardestQuestion.question.question}</p>
+                            <p className="text-sm text-gray-400 mt-1">
+                                {formatPercent(hardestQuestion.accuracy)} correct · Answer: {formatAnswer(hardestQuestion.question.correctAnswer)}
+                            </p>
+                        </>
+                    ) : (
+                        <p className="text-gray-500 italic">No answers recorded.</p>
+                    )}
+                </div>
+                <div className="p-4 bg-gray-800 rounded-2xl shadow-xl">
+                    <h2 className="text-lg font-bold text-green-400 mb-2">⚡ Fastest Correct Answer</h2>
+                    {fastestCorrect ? (
+                        <>
+                            <p className="font-semibold">{fastestCorrect.playerName} in {formatSeconds(fastestCorrect.responseMs)}</p>
+                            <p className="text-sm text-gray-400 mt-1 break-words">{fastestCorrect.question?.question}</p>
+                        </>
+                    ) : (
+                        <p className="text-gray-500 italic">Nobody answered correctly.</p>
+                    )}
+                </div>
+            </div>
+
+            <div className="w-full max-w-4xl p-4 sm:p-6 bg-gray-800 rounded-2xl shadow-xl mb-6">
+                <h2 className="text-2xl font-bold mb-3 border-b border-gray-600 pb-2">Final Standings</h2>
+                <div className="space-y-2">
+                    {game.players.map(player => (
+                        <div key={player.id} className="flex items-center justify-between p-2 sm:p-3 rounded-lg bg-gray-700">
+                            <span className="font-medium truncate pr-2">
+                                <span className="font-black text-gray-400 mr-2">{player.rank}.</span>{player.name}
+                            </span>
+                            <span className="font-black text-indigo-400 flex-shrink-0">{player.score.toLocaleString()} pts</span>
+                        </div>
+                    ))}
+                    {game.players.length === 0 && <p className="text-gray-500 italic">No players.</p>}
+                </div>
+            </div>
+
+            <div className="w-full max-w-4xl p-4 sm:p-6 bg-gray-800 rounded-2xl shadow-xl">
+                <h2 className="text-2xl font-bold mb-3 border-b border-gray-600 pb-2">Questions</h2>
+                <div className="space-y-3">
+                    {questionStats.map(({ index, question, playedCount, correctCount, accuracy }) => (
+                        <div key={index} className="p-3 rounded-lg bg-gray-700">
+                            <p className="font-semibold break-words">
+                                <span className="text-gray-400 mr-2">{index + 1}.</span>{question.question}
+                            </p>
+                            <p className="text-sm text-green-300 mt-1 break-words">✓ {formatAnswer(question.correctAnswer)}</p>
+                            <div className="flex items-center gap-3 mt-2">
+                                <div className="flex-grow h-2 bg-gray-600 rounded-full overflow-hidden">
+                                    <div className="h-full bg-green-500" style={{ width: `${Math.round((accuracy || 0) * 100)}%` }} />
+                                </div>
+                                <span className="text-sm text-gray-300 whitespace-nowrap">
+                                    {formatPercent(accuracy)} ({correctCount}/{playedCount})
+                                </span>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <ResultsExportPanel record={game} />
+        </div>
+    );
+};
+
+export default HistoryScreen;
@@ -40,7 +40,7 @@ const LandingPage = () => {
                             <div className="space-y-2">
                                 <div className="text-5xl">🎯</div>
                                 <h3 className="text-xl font-bold text-yellow-300">Time-Based</h3>
-                                <p className="text-sm text-indigo-200">30-second rounds with bonus points</p>
+                                <p className="text-sm text-indigo-200">Timed rounds with speed bonus points</p>
                             </div>
                         </div>
                     </div>
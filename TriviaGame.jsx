@@ -1,94 +1,209 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useParams } from 'react-router-dom';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, doc, setDoc, onSnapshot, updateDoc, collection, query, getDoc, getDocs, deleteDoc, serverTimestamp, runTransaction } from 'firebase/firestore';
+import { initializeApp, getApps, getApp } from 'firebase/app';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, doc, setDoc, addDoc, onSnapshot, updateDoc, collection, query, orderBy, limit, getDoc, getDocs, deleteDoc, writeBatch, serverTimestamp, connectFirestoreEmulator } from 'firebase/firestore';
+import { getStorage, ref as storageRef, uploadBytes, getDownloadURL, connectStorageEmulator } from 'firebase/storage';
+// Shared with the scoring function, so questions compare the same way as typed answers
+import { normalizeText, editDistance } from './functions/scoring.js';
+// Prompts are built from each task's structured input, the same way in the browser and the AI proxy
+import { buildPrompt, getAvoidList, GENERATION_BATCH_SIZE, SOURCE_CHUNK_SIZE, MAX_TOPIC_LENGTH, MAX_LANGUAGE_LENGTH, VERIFY_BATCH_SIZE, GENERATOR_DIFFICULTIES, GENERATOR_AUDIENCES } from './worker/prompts.js';
 
-// currentQuestionStartTime: serverTimestamp()
 // --- Global Variable Access (MANDATORY) ---
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+const useEmulators = typeof __use_firebase_emulators !== 'undefined' && __use_firebase_emulators === true;
+// { provider: 'proxy' | 'gemini' | 'openai' | 'mock', model, apiKey, baseUrl, url }; see the LLM Providers section
+const llmConfig = typeof __llm_config !== 'undefined' ? JSON.parse(__llm_config) : {};
 
-// --- LLM API Configuration ---
-const GEMINI_API_KEY = ""; // Kept empty, will be supplied by the environment
-const GEMINI_API_URL_BASE = "https://generativelanguage.googleapis.com/v1beta/models/";
-const MODEL_NAME = "gemini-2.5-flash-preview-09-2025";
-
-// JSON Schema for Question Generation
-const QUESTION_SCHEMA = {
-    type: "ARRAY",
-    description: "A list of 5 trivia questions, each with a question, the correct answer, and three distractors (incorrect options).",
-    items: {
-        type: "OBJECT",
-        properties: {
-            question: { type: "STRING", description: "The trivia question text." },
-            correctAnswer: { type: "STRING", description: "The single correct answer for the question." },
-            distractor1: { type: "STRING", description: "The first incorrect option." },
-            distractor2: { type: "STRING", description: "The second incorrect option." },
-            distractor3: { type: "STRING", description: "The third incorrect option." },
-        },
-        required: ["question", "correctAnswer", "distractor1", "distractor2", "distractor3"],
-        propertyOrdering: ["question", "correctAnswer", "distractor1", "distractor2", "distractor3"]
-    }
+// --- Game Settings ---
+// Stored on the game doc under `settings`; games created before a setting existed use these defaults.
+// The scoring function reads the same settings (keep in sync with functions/scoring.js).
+const DEFAULT_GAME_SETTINGS = {
+    lateJoin: 'ZERO', // OFF, ZERO, LOWEST: whether players may join mid-game, and their starting score
+    secondsPerQuestion: 30, // How long players have to answer
+    maxPoints: 1000, // Points for an instant correct answer
+    minPoints: 500, // Points for a correct answer at the time limit
+    speedBonus: true, // When off, every correct answer earns maxPoints
+    wrongAnswerPenalty: 0, // Points taken away for a wrong answer
+    questionLimit: 0, // Play only the first N loaded questions (0 = all)
+    aiExplanations: true, // Show an AI fun fact after each reveal (questions with their own explanation always show it)
+    streakBonus: false, // Correct answers in a row earn up to x1.5
+    powerUps: false, // Each player gets one of every POWER_UPS
+    wagerRound: false, // Players bet part of their score on the last question
+};
+
+/** Allowed range for each numeric setting, used to clamp host input. */
+const GAME_SETTING_LIMITS = {
+    secondsPerQuestion: { min: 5, max: 120 },
+    maxPoints: { min: 0, max: 10000 },
+    minPoints: { min: 0, max: 10000 },
+    wrongAnswerPenalty: { min: 0, max: 10000 },
+    questionLimit: { min: 0, max: 500 },
+};
+
+const getGameSettings = (lobbyState) => ({ ...DEFAULT_GAME_SETTINGS, ...(lobbyState?.settings || {}) });
+
+/** Number of loaded questions that will actually be played, after the question limit. */
+const getPlayableQuestionCount = (lobbyState) => {
+    const questionCount = lobbyState?.questionCount || 0;
+    const { questionLimit } = getGameSettings(lobbyState);
+    return questionLimit > 0 ? Math.min(questionLimit, questionCount) : questionCount;
 };
 
+/** Late joiners sit out the question that was running when they joined. */
+const isPlayingQuestion = (player, questionIndex) => !player.isHost && !(player.joinedAtQuestionIndex > questionIndex);
+
+// --- Rounds ---
+// Questions may carry a `round` name (CSV "Round" column, the editor). Consecutive questions
+// with the same name form a round; the host sets each round's timer and point multiplier.
+// Games whose questions have no round names play as one flat list, without intros.
+
+/** Point multipliers a round can use. */
+const ROUND_MULTIPLIERS = [0.5, 1, 1.5, 2, 3];
+
 /**
- * Generic fetch wrapper with exponential backoff for the Gemini API.
+ * Groups the questions into rounds for the game doc:
+ * [{ name, startIndex, questionCount, questionType, secondsPerQuestion, multiplier }].
+ * Timer and multiplier carry over from `previousRounds` with the same name;
+ * a null timer means the game's "Time per question".
  */
-async function callGeminiApi(payload, model = MODEL_NAME, retries = 3) {
-    const url = `${GEMINI_API_URL_BASE}${model}:generateContent?key=${GEMINI_API_KEY}`;
+const buildRounds = (questions, previousRounds = []) => {
+    if (!questions.some(q => q.round)) return [];
 
-    for (let i = 0; i < retries; i++) {
-        try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
+    const groups = [];
+    questions.forEach((question, index) => {
+        const name = question.round || '';
+        const last = groups[groups.length - 1];
+        if (last && last.name === name) {
+            last.questionCount++;
+            last.types.add(getQuestionType(question));
+        } else {
+            groups.push({ name, startIndex: index, questionCount: 1, types: new Set([getQuestionType(question)]) });
+        }
+    });
 
-            if (!response.ok) {
-                if (i === retries - 1) {
-                    let errorBody = 'Unknown error body (failed to read response text).';
-                    try {
-                        errorBody = await response.text(); 
-                    } catch (e) {
-                        // Ignore if cannot read body
-                    }
-                    throw new Error(`API Error ${response.status}: ${response.statusText || 'No status text'} - Body: ${errorBody}`);
-                }
-                
-                // For retriable errors, just wait and continue the loop.
-                const delay = Math.pow(2, i) * 1000;
-                await new Promise(resolve => setTimeout(resolve, delay));
-                continue;
-            }
+    return groups.map(({ types, ...group }, index) => {
+        const name = group.name || `Round ${index + 1}`;
+        const previous = previousRounds.find(round => round.name === name);
+        return {
+            ...group,
+            name,
+            questionType: types.size === 1 ? [...types][0] : 'MIXED',
+            secondsPerQuestion: previous?.secondsPerQuestion ?? null,
+            multiplier: previous?.multiplier ?? 1,
+        };
+    });
+};
 
-            const result = await response.json();
-            
-            // Check for error field in 200 OK responses
-            if (result.error) {
-                throw new Error(`Gemini API Error: ${result.error.message || JSON.stringify(result.error)}`);
-            }
-            
-            const text = result?.candidates?.[0]?.content?.parts?.[0]?.text;
+/** Index of the round a question belongs to, or -1 in a game without rounds. */
+const getRoundIndex = (lobbyState, questionIndex = lobbyState?.currentQuestionIndex) => {
+    const rounds = lobbyState?.rounds || [];
+    return rounds.findIndex(round => questionIndex >= round.startIndex && questionIndex < round.startIndex + round.questionCount);
+};
 
-            if (!text) {
-                // Check for safety blocks
-                const finishReason = result.candidates?.[0]?.finishReason;
-                if (finishReason === 'SAFETY') { 
-                     throw new Error(`Gemini response was blocked by safety settings.`);
-                }
-                
-                throw new Error("Gemini response was empty or malformed (No text content found).");
-            }
+/** The round a question belongs to, or null in a game without rounds. */
+const getRound = (lobbyState, questionIndex) => lobbyState?.rounds?.[getRoundIndex(lobbyState, questionIndex)] || null;
+
+/**
+ * Settings in effect for a question: the game settings with its round's timer and
+ * multiplier applied. The scoring function merges them the same way (functions/index.js).
+ */
+const getQuestionSettings = (lobbyState, questionIndex = lobbyState?.currentQuestionIndex) => {
+    const settings = getGameSettings(lobbyState);
+    const round = getRound(lobbyState, questionIndex);
+    return {
+        ...settings,
+        secondsPerQuestion: round?.secondsPerQuestion ?? settings.secondsPerQuestion,
+        pointMultiplier: round?.multiplier ?? 1,
+    };
+};
+
+/**
+ * Where a PLAYING game is within its round: INTRO (round title card), WAGER (bets on the
+ * wager question, before it's shown), QUESTION, or LEADERBOARD (standings after a round).
+ * Games without rounds or a wager are always at QUESTION.
+ */
+const getRoundPhase = (lobbyState) => lobbyState?.roundPhase || 'QUESTION';
+
+// --- Streaks, Power-ups and Wagers ---
+// Optional mechanics, switched on in the lobby settings and applied by the scoring function.
+// Keep the power-up ids and EXTRA_TIME_SECONDS in sync with functions/scoring.js and firestore.rules.
+const EXTRA_TIME_SECONDS = 10;
+
+/** One-use power-ups. Players record the question they used each one on in `powerUpsUsed`. */
+const POWER_UPS = {
+    DOUBLE_POINTS: { emoji: '2️⃣', label: 'Double Points', description: 'Twice the points if you get it right' },
+    FIFTY_FIFTY: { emoji: '✂️', label: '50:50', description: 'Two wrong options disappear' },
+    EXTRA_TIME: { emoji: '⏳', label: 'Extra Time', description: `${EXTRA_TIME_SECONDS} more seconds to answer` },
+};
+
+/** True if the player used this power-up on the given question. */
+const hasUsedPowerUp = (player, powerUp, questionIndex) => player?.powerUpsUsed?.[powerUp] === questionIndex;
+
+/**
+ * The wager question: the last question played, when the wager round is on and there are at
+ * least two questions (-1 otherwise). Mirrors getWagerQuestionIndex in functions/index.js.
+ */
+const getWagerQuestionIndex = (lobbyState) => {
+    const questionCount = getPlayableQuestionCount(lobbyState);
+    return getGameSettings(lobbyState).wagerRound && questionCount >= 2 ? questionCount - 1 : -1;
+};
+
+/** Whether a power-up can be played on a question: 50:50 needs 3+ options, the wager question can't be doubled. */
+const canUsePowerUp = (powerUp, question, isWagerQuestion) => {
+    if (powerUp === 'FIFTY_FIFTY') return getQuestionType(question) === QUESTION_TYPES.MULTIPLE_CHOICE && question.options.length >= 3;
+    if (powerUp === 'DOUBLE_POINTS') return !isWagerQuestion;
+    return true;
+};
+
+/** The amount a player bet on the wager question (0 if they didn't bet). */
+const getWager = (player, questionIndex) => (player?.wager?.questionIndex === questionIndex ? player.wager.amount : 0);
 
-            return text;
+/** Seconds a player has to answer the current question, with their extra time if they used it. */
+const getAnswerTimeLimit = (lobbyState, player) => {
+    const { secondsPerQuestion } = getQuestionSettings(lobbyState);
+    return secondsPerQuestion + (hasUsedPowerUp(player, 'EXTRA_TIME', lobbyState?.currentQuestionIndex) ? EXTRA_TIME_SECONDS : 0);
+};
+
+// --- Presence ---
+const PRESENCE_HEARTBEAT_MS = 10000; // How often each client stamps `lastSeen` on its player doc
+const HOST_GRACE_PERIOD_MS = 45000; // Must match firestore.rules (isHostAway) and functions/index.js
+const HOST_CHECK_INTERVAL_MS = 5000;
+
+// --- Media ---
+const MEDIA_PRELOAD_TIMEOUT_MS = 15000; // Start the timer anyway if a device can't finish preloading
+
+// --- LLM Providers ---
+// Question generation and explanations go through one small interface, so switching backends
+// is a config change (window.__llm_config in index.html) rather than a source edit.
+// A provider is { name, generate(request) } where request is buildPrompt's
+// { task, input, systemPrompt, userPrompt, schema?, useSearch } (worker/prompts.js) and generate
+// resolves to the text of the reply (a JSON string when a schema is given). `task` names the kind
+// of request ('questions', 'sourceQuestions', 'explanation' or 'verification') and `input` holds
+// its structured input, which is all the proxy sends and all the mock needs to answer without a model.
 
+const DEFAULT_LLM_MODELS = {
+    gemini: "gemini-2.5-flash-preview-09-2025",
+    openai: "gpt-4o-mini",
+};
+const GEMINI_API_URL_BASE = "https://generativelanguage.googleapis.com/v1beta/models/";
+const OPENAI_API_URL_BASE = "https://api.openai.com/v1";
+const AI_PROXY_URL = "/api/generate"; // worker/index.js, deployed with the app by wrangler
+
+/**
+ * Runs an async call, retrying failures with exponential backoff (1s, 2s, ...).
+ * Client errors (4xx: bad request, signed out, rate limited) fail straight away.
+ */
+async function withRetries(call, retries = 3) {
+    for (let i = 0; i < retries; i++) {
+        try {
+            return await call();
         } catch (error) {
             // Only log the error on the final attempt, otherwise just wait and retry.
-            if (i === retries - 1) {
-                console.error(`Attempt ${i + 1} failed for Gemini API call:`, error);
+            if (i === retries - 1 || (error.status >= 400 && error.status < 500)) {
+                console.error(`Attempt ${i + 1} failed for LLM call:`, error);
                 throw error; // Rethrow on final failure
             }
             
@@ -99,6 +214,216 @@ async function callGeminiApi(payload, model = MODEL_NAME, retries = 3) {
     }
 }
 
+/** POSTs JSON and returns the parsed reply, with the response body in the error on failure. */
+async function postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        let errorBody = 'Unknown error body (failed to read response text).';
+        try {
+            errorBody = await response.text(); 
+        } catch (e) {
+            // Ignore if cannot read body
+        }
+        const error = new Error(`API Error ${response.status}: ${response.statusText || 'No status text'} - Body: ${errorBody}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response.json();
+}
+
+/** Gemini's schema dialect (uppercase types, propertyOrdering) as standard JSON Schema. */
+const toJsonSchema = (schema) => {
+    if (Array.isArray(schema)) return schema.map(toJsonSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    return Object.fromEntries(Object.entries(schema)
+        .filter(([key]) => key !== 'propertyOrdering')
+        .map(([key, value]) => {
+            if (key === 'type' && typeof value === 'string') return [key, value.toLowerCase()];
+            if (key === 'properties') {
+                return [key, Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toJsonSchema(property)]))];
+            }
+            return [key, toJsonSchema(value)];
+        }));
+};
+
+/**
+ * The AI proxy Worker (worker/index.js), which calls Gemini with a key kept as a Worker secret.
+ * Requests carry the player's Firebase ID token, which the proxy checks and rate-limits by uid.
+ */
+const createProxyProvider = ({ url = AI_PROXY_URL }) => ({
+    name: 'Proxy',
+    generate: async ({ task, input }) => {
+        const user = getAuth(getApp()).currentUser;
+        if (!user) throw new Error("Not signed in yet. Try again in a moment.");
+
+        // The proxy builds the prompts itself, so only the task's input is sent
+        const result = await postJson(url, { task, input }, {
+            Authorization: `Bearer ${await user.getIdToken()}`,
+        });
+        if (!result.text) throw new Error("AI proxy response was empty or malformed (No text found).");
+        return result.text;
+    },
+});
+
+/**
+ * Google Gemini (generateContent) called straight from the browser, with optional Google Search
+ * grounding. The key is visible to anyone using the app, so use it for local development only.
+ */
+const createGeminiProvider = ({ apiKey, model = DEFAULT_LLM_MODELS.gemini }) => ({
+    name: 'Gemini',
+    generate: async ({ systemPrompt, userPrompt, schema, useSearch }) => {
+        if (!apiKey) throw new Error("No Gemini API key configured (apiKey in __llm_config).");
+
+        const payload = {
+            contents: [{ parts: [{ text: userPrompt }] }],
+            ...(useSearch && { tools: [{ "google_search": {} }] }), // Search grounding for accuracy
+            systemInstruction: { parts: [{ text: systemPrompt }] },
+            ...(schema && {
+                generationConfig: {
+                    responseMimeType: "application/json",
+                    responseSchema: schema
+                }
+            }),
+        };
+        const result = await postJson(`${GEMINI_API_URL_BASE}${model}:generateContent?key=${apiKey}`, payload);
+
+        // Check for error field in 200 OK responses
+        if (result.error) {
+            throw new Error(`Gemini API Error: ${result.error.message || JSON.stringify(result.error)}`);
+        }
+        
+        const text = result?.candidates?.[0]?.content?.parts?.[0]?.text;
+
+        if (!text) {
+            // Check for safety blocks
+            const finishReason = result.candidates?.[0]?.finishReason;
+            if (finishReason === 'SAFETY') { 
+                 throw new Error(`Gemini response was blocked by safety settings.`);
+            }
+            
+            throw new Error("Gemini response was empty or malformed (No text content found).");
+        }
+
+        return text;
+    },
+});
+
+/**
+ * Any OpenAI-compatible chat completions API: OpenAI itself, or a local server such as
+ * llama.cpp (baseUrl "http://localhost:8080/v1") or Ollama ("http://localhost:11434/v1").
+ * Search grounding isn't part of that API, so useSearch is ignored.
+ */
+const createOpenAIProvider = ({ apiKey, model = DEFAULT_LLM_MODELS.openai, baseUrl = OPENAI_API_URL_BASE }) => ({
+    name: 'OpenAI-compatible',
+    generate: async ({ systemPrompt, userPrompt, schema }) => {
+        const payload = {
+            model,
+            messages: [
+                { role: 'system', content: systemPrompt },
+                { role: 'user', content: userPrompt },
+            ],
+            ...(schema && {
+                response_format: { type: 'json_schema', json_schema: { name: 'response', schema: toJsonSchema(schema) } },
+            }),
+        };
+        const result = await postJson(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, payload,
+            apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+
+        if (result.error) {
+            throw new Error(`LLM API Error: ${result.error.message || JSON.stringify(result.error)}`);
+        }
+        const text = result?.choices?.[0]?.message?.content;
+        if (!text) throw new Error("LLM response was empty or malformed (No message content found).");
+        return text;
+    },
+});
+
+const MOCK_QUESTIONS = [
+    { question: "What is the capital of France?", correctAnswer: "Paris", distractor1: "London", distractor2: "Berlin", distractor3: "Madrid" },
+    { question: "How many legs does a spider have?", correctAnswer: "8", distractor1: "6", distractor2: "10", distractor3: "12" },
+    { question: "Which planet is known as the Red Planet?", correctAnswer: "Mars", distractor1: "Venus", distractor2: "Jupiter", distractor3: "Saturn" },
+    { question: "Who painted the Mona Lisa?", correctAnswer: "Leonardo da Vinci", distractor1: "Michelangelo", distractor2: "Raphael", distractor3: "Donatello" },
+    { question: "What is the largest ocean on Earth?", correctAnswer: "Pacific", distractor1: "Atlantic", distractor2: "Indian", distractor3: "Arctic" },
+    { question: "Which gas do plants absorb from the air?", correctAnswer: "Carbon dioxide", distractor1: "Oxygen", distractor2: "Nitrogen", distractor3: "Helium" },
+    { question: "In which year did the Berlin Wall fall?", correctAnswer: "1989", distractor1: "1979", distractor2: "1991", distractor3: "1985" },
+    { question: "What is the hardest natural substance?", correctAnswer: "Diamond", distractor1: "Quartz", distractor2: "Granite", distractor3: "Iron" },
+    { question: "Which instrument has 88 keys?", correctAnswer: "Piano", distractor1: "Organ", distractor2: "Accordion", distractor3: "Harpsichord" },
+    { question: "What is the smallest prime number?", correctAnswer: "2", distractor1: "1", distractor2: "3", distractor3: "0" },
+];
+
+/**
+ * Offline provider with canned replies, for developing and testing the AI features without
+ * a key or a network. Replies only depend on the request, so the same request always gets
+ * the same answer. Question batches continue through MOCK_QUESTIONS past the questions the
+ * request says to avoid, so there are at most MOCK_QUESTIONS.length unique ones.
+ */
+const createMockProvider = () => ({
+    name: 'Mock',
+    generate: async ({ task, input }) => {
+        switch (task) {
+            case 'questions': {
+                const offset = input.avoid.length; // Questions listed as "don't repeat"
+                return JSON.stringify(Array.from({ length: input.count }, (_, i) => MOCK_QUESTIONS[(offset + i) % MOCK_QUESTIONS.length]));
+            }
+            case 'explanation':
+                return `(Mock explanation) The trivia question was: "${input.question}". Fun fact: this reply is canned, so it's the same every time.`;
+            case 'sourceQuestions': {
+                // Fill-in-the-blank on the source's sentences, quoting each sentence as the citation
+                const { count, avoid, sourceText: source } = input;
+                const sentences = source.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(s => s.split(/\s+/).length >= 4);
+                const longestWord = (sentence) => sentence.match(/\p{L}{4,}/gu)?.sort((a, b) => b.length - a.length)[0];
+                const words = [...new Set(sentences.map(longestWord).filter(Boolean))];
+                return JSON.stringify(sentences
+                    .map(sentence => {
+                        const answer = longestWord(sentence) || sentence.split(/\s+/)[0];
+                        const [distractor1 = 'None', distractor2 = 'All', distractor3 = 'Other'] = words.filter(word => word !== answer);
+                        return { question: `Which word is missing: "${sentence.replace(answer, '____')}"`, correctAnswer: answer, distractor1, distractor2, distractor3, citation: sentence };
+                    })
+                    .filter(item => !avoid.includes(item.question))
+                    .slice(0, count));
+            }
+            case 'verification':
+                return JSON.stringify(input.questions.map((_, i) => ({ number: i + 1, verdict: 'OK', confidence: 0.9, issue: '' })));
+            default:
+                throw new Error(`The mock LLM provider has no reply for task "${task}".`);
+        }
+    },
+});
+
+const LLM_PROVIDERS = {
+    proxy: createProxyProvider,
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    mock: createMockProvider,
+};
+
+/** The provider chosen in the LLM config (the AI proxy unless configured otherwise). */
+const createLlmProvider = ({ provider = 'proxy', ...options } = {}) => {
+    const create = LLM_PROVIDERS[provider];
+    if (!create) throw new Error(`Unknown LLM provider "${provider}". Use one of: ${Object.keys(LLM_PROVIDERS).join(', ')}.`);
+    return create(options);
+};
+
+let llmProvider = null;
+
+/**
+ * Sends a task and its structured input (see buildPrompt in worker/prompts.js) to the configured
+ * provider, with retries. Rejects if the config or the input is invalid.
+ */
+const callLlm = async (task, input) => {
+    const request = buildPrompt(task, input);
+    llmProvider = llmProvider || createLlmProvider(llmConfig);
+    return withRetries(() => llmProvider.generate(request));
+};
+
+/** Parses a JSON reply, tolerating the ```json fences some models wrap it in. */
+const parseLlmJson = (text) => JSON.parse(text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+
 
 // --- Utility Functions ---
 
@@ -107,6 +432,13 @@ const generateGameCode = () => {
     return Math.random().toString(36).substring(2, 6).toUpperCase();
 };
 
+/** Converts a Firestore Timestamp (or a legacy millisecond number) to milliseconds. */
+const toMillis = (value) => {
+    if (typeof value === 'number') return value;
+    if (value && typeof value.toMillis === 'function') return value.toMillis();
+    return null;
+};
+
 /** Shuffles an array (Fisher-Yates algorithm). */
 const shuffleArray = (array) => {
     let newArray = [...array];
@@ -117,736 +449,3252 @@ const shuffleArray = (array) => {
     return newArray;
 };
 
-/** Parses CSV text into a structured questions array. */
-const parseCSV = (csvText) => {
-    const lines = csvText.split('\n').filter(line => line.trim() !== '');
-    return lines.map((line, index) => {
-        // Simple split by comma, and remove leading/trailing quotes/whitespace
-        const parts = line.split(',').map(p => p.trim().replace(/^"|"$/g, ''));
-        if (parts.length < 2) {
-            console.error(`Skipping CSV line ${index + 1}: Not enough columns (Q/A required).`);
-            return null;
-        }
-
-        const [question, correctAnswer, ...distractors] = parts;
-        // Collect all options (correct answer + up to 4 distractors)
-        const allOptions = [correctAnswer, ...distractors].filter(o => o).slice(0, 5);
-        
-        // Must have the correct answer and at least one other option for trivia game
-        if (allOptions.length < 2) {
-             console.error(`Skipping CSV line ${index + 1}: Not enough valid options.`);
-             return null;
-        }
-        
-        // Shuffle the options for display
-        const options = shuffleArray(allOptions);
-
-        return {
-            id: index,
-            question,
-            correctAnswer,
-            options,
-        };
-    }).filter(q => q !== null);
-};
-
-
-// --- Firebase Paths ---
-const getGameDocPath = (db, gameCode) => doc(db, `artifacts/${appId}/public/data/games/${gameCode}`);
-const getPlayersCollectionPath = (db, gameCode) => collection(db, `artifacts/${appId}/public/data/games/${gameCode}/players`);
-const getPlayerDocPath = (db, gameCode, userId) => doc(db, `artifacts/${appId}/public/data/games/${gameCode}/players/${userId}`);
+/**
+ * Splits CSV text into records following RFC 4180: fields may be wrapped in double quotes,
+ * quoted fields may contain commas, line breaks and escaped quotes (""). Whitespace around
+ * fields is trimmed so hand-written files like "Question, Answer, ..." keep working.
+ * Returns { records: [{ line, fields }], errors: [{ line, reason }] } with 1-based line numbers.
+ */
+const tokenizeCSV = (csvText) => {
+    const text = csvText.replace(/^\uFEFF/, ''); // Strip the BOM spreadsheet apps like to add
+    const records = [];
+    const errors = [];
 
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let wasQuoted = false;
+    let recordError = null;
+    let line = 1;
+    let recordLine = 1;
 
-// --- Custom Hook for Firebase Initialization and Authentication ---
-const useFirebase = () => {
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const [isLoading, setIsLoading] = useState(true);
+    const endField = () => {
+        fields.push(wasQuoted ? field : field.trim());
+        field = '';
+        wasQuoted = false;
+    };
 
-    useEffect(() => {
-        try {
-            const app = initializeApp(firebaseConfig);
-            const firestore = getFirestore(app);
-            const authInstance = getAuth(app);
+    const endRecord = () => {
+        endField();
+        if (recordError) {
+            errors.push({ line: recordLine, reason: recordError });
+        } else if (fields.some(f => f !== '')) {
+            records.push({ line: recordLine, fields });
+        }
+        fields = [];
+        recordError = null;
+        recordLine = line;
+    };
 
-            setDb(firestore);
-            setAuth(authInstance);
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
 
-            const unsubscribe = onAuthStateChanged(authInstance, async (user) => {
-                if (user) {
-                    setUserId(user.uid);
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
                 } else {
-                    // Sign in with custom token or anonymously
-                    try {
-                        if (initialAuthToken) {
-                            const userCred = await signInWithCustomToken(authInstance, initialAuthToken);
-                            setUserId(userCred.user.uid);
-                        } else {
-                            const userCred = await signInAnonymously(authInstance);
-                            setUserId(userCred.user.uid);
-                        }
-                    } catch (error) {
-                        console.error("Firebase Auth failed:", error);
-                    }
+                    inQuotes = false;
                 }
-                setIsLoading(false);
-            });
+            } else {
+                if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+                field += char;
+            }
+            continue;
+        }
 
-            return () => unsubscribe();
-        } catch (error) {
-            console.error("Firebase initialization failed:", error);
-            setIsLoading(false);
+        if (char === '"') {
+            if (!wasQuoted && field.trim() === '') {
+                // Opening quote (leading whitespace before it is ignored)
+                field = '';
+                inQuotes = true;
+                wasQuoted = true;
+            } else if (wasQuoted) {
+                recordError = recordError || 'Unexpected quote after a closing quote (escape quotes inside a field as "").';
+            } else {
+                field += char; // Stray quote in an unquoted field (e.g. 12") is kept as-is
+            }
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            line++;
+            endRecord();
+        } else {
+            if (wasQuoted && char.trim() !== '') {
+                recordError = recordError || 'Unexpected text after a closing quote.';
+            }
+            if (!wasQuoted) field += char;
         }
-    }, []);
+    }
+
+    if (inQuotes) {
+        recordError = 'Unterminated quoted field (missing closing quote).';
+    }
+    endRecord();
 
-    return { db, auth, userId, isLoading };
+    return { records, errors };
 };
 
-// --- Game Logic and Components ---
+// --- Question Types ---
 
-/** Main App Component */
-const App = ({ prefillFromRoute }) => {
-    const params = prefillFromRoute ? useParams() : {};
-    const { db, userId, isLoading } = useFirebase();
-    const [gameCode, setGameCode] = useState('');
-    const [lobbyState, setLobbyState] = useState(null); // Game document state
-    const [players, setPlayers] = useState([]); // Array of player documents
-    const [screenName, setScreenName] = useState('');
-    const [mode, setMode] = useState('HOME'); // HOME, LOBBY, GAME
+const QUESTION_TYPES = {
+    MULTIPLE_CHOICE: 'MULTIPLE_CHOICE', // Pick the correct option (2-5 options)
+    TRUE_FALSE: 'TRUE_FALSE', // Pick True or False
+    FREE_TEXT: 'FREE_TEXT', // Type the answer; forgiving match against the answer and its alternatives
+    NUMERIC: 'NUMERIC', // Type a number; the closest guesses win
+    ORDER: 'ORDER', // Put the items in the correct order; partial credit per item in place
+};
 
-    const isHost = useMemo(() => lobbyState?.hostUserId === userId, [lobbyState, userId]);
+/** Spellings accepted in the CSV "Type" column (lowercased, with - and _ read as spaces). */
+const QUESTION_TYPE_ALIASES = {
+    '': QUESTION_TYPES.MULTIPLE_CHOICE,
+    'multiple choice': QUESTION_TYPES.MULTIPLE_CHOICE,
+    'mc': QUESTION_TYPES.MULTIPLE_CHOICE,
+    'true false': QUESTION_TYPES.TRUE_FALSE,
+    'true/false': QUESTION_TYPES.TRUE_FALSE,
+    'tf': QUESTION_TYPES.TRUE_FALSE,
+    'free text': QUESTION_TYPES.FREE_TEXT,
+    'text': QUESTION_TYPES.FREE_TEXT,
+    'numeric': QUESTION_TYPES.NUMERIC,
+    'number': QUESTION_TYPES.NUMERIC,
+    'order': QUESTION_TYPES.ORDER,
+    'ordering': QUESTION_TYPES.ORDER,
+    'sequence': QUESTION_TYPES.ORDER,
+};
 
-    // Firestore Listener for Game State
-    useEffect(() => {
-        if (!db || !gameCode) return;
+/** Short names for each type, shown to hosts and on round intro cards. */
+const QUESTION_TYPE_LABELS = {
+    [QUESTION_TYPES.MULTIPLE_CHOICE]: 'Multiple choice',
+    [QUESTION_TYPES.TRUE_FALSE]: 'True / false',
+    [QUESTION_TYPES.FREE_TEXT]: 'Free text',
+    [QUESTION_TYPES.NUMERIC]: 'Closest number',
+    [QUESTION_TYPES.ORDER]: 'Put in order',
+};
 
-        const gameDocRef = getGameDocPath(db, gameCode);
-        const unsubscribeGame = onSnapshot(gameDocRef, (docSnap) => {
-            if (docSnap.exists()) {
-                setLobbyState(docSnap.data());
-                setMode('LOBBY'); // Change mode if we successfully load a game
-            } else if (gameCode && mode === 'LOBBY') {
-                // Game was deleted or no longer exists
-                setLobbyState(null);
-                setPlayers([]);
-                setGameCode('');
-                setMode('HOME');
-                // Use a non-alert message box in a real app
-                console.log("Game ended by host.");
-            }
-        }, (error) => console.error("Error listening to game doc:", error));
+/** Questions saved before types existed are multiple choice. */
+const getQuestionType = (question) => question?.type || QUESTION_TYPES.MULTIPLE_CHOICE;
 
-        const playersColRef = getPlayersCollectionPath(db, gameCode);
-        const unsubscribePlayers = onSnapshot(playersColRef, (querySnapshot) => {
-            const playerList = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-            setPlayers(playerList.sort((a, b) => b.score - a.score)); // Sort by score
-        }, (error) => console.error("Error listening to players collection:", error));
+/** True for the types answered by tapping one of the options. */
+const isChoiceQuestion = (question) => {
+    const type = getQuestionType(question);
+    return type === QUESTION_TYPES.MULTIPLE_CHOICE || type === QUESTION_TYPES.TRUE_FALSE;
+};
 
-        return () => {
-            unsubscribeGame();
-            unsubscribePlayers();
-        };
-    }, [db, gameCode, mode]);
+/** Human-readable form of an answer (ORDER answers are lists). */
+const formatAnswer = (answer) => {
+    if (answer === null || answer === undefined) return '';
+    return Array.isArray(answer) ? answer.join(' → ') : String(answer);
+};
 
-    // Game/Player Actions
-    const handleCreateGame = useCallback(async () => {
-        if (!db || !userId || !screenName) return;
+/** Parses "1,234.5"-style numbers; NaN for anything else. */
+const parseNumber = (value) => {
+    const text = String(value ?? '').replace(/[,\s_]/g, '');
+    return text === '' ? NaN : Number(text);
+};
 
-        const newCode = generateGameCode();
-        const gameDocRef = getGameDocPath(db, newCode);
+/** True for a media reference that can be loaded as-is, rather than a file name still to upload. */
+const isMediaUrl = (value) => /^(https?:|blob:|data:)/i.test(value);
 
-        try {
-            // 1. Create Game Document
-            await setDoc(gameDocRef, {
-                gameCode: newCode,
-                hostUserId: userId,
-                status: 'LOBBY', // LOBBY, UPLOAD, PLAYING, SCORING, RESULTS
-                questions: [],
-                currentQuestionIndex: -1,
-                currentQuestionStartTime: null,
-            });
+/** True when the question shows an image or plays an audio clip. */
+const hasMedia = (question) => !!(question?.imageUrl || question?.audioUrl);
 
-            // 2. Create Player Document (Host)
-            const playerDocRef = getPlayerDocPath(db, newCode, userId);
-            await setDoc(playerDocRef, {
-                name: screenName,
-                score: 0,
-                isHost: true,
-                lastAnswer: null,
-                timestamp: Date.now(),
-            });
+/**
+ * Validates and normalizes one question, whatever it came from (a CSV row, the AI generator).
+ * Takes { type, question, correctAnswer, options, acceptedAnswers, imageUrl, audioUrl, round, explanation, citation } where
+ * options are the raw extra cells: distractors (MULTIPLE_CHOICE), more items after the first
+ * (ORDER) or more accepted spellings (FREE_TEXT). Media is a URL or the name of a file to upload.
+ * Returns { question } ready to store, or { error } with the reason it can't be played.
+ */
+const buildQuestion = ({ imageUrl = '', audioUrl = '', round = '', explanation = '', citation = '', ...fields }) => {
+    const { question, error } = buildTypedQuestion(fields);
+    if (error) return { error };
 
-            setGameCode(newCode);
-            setMode('LOBBY');
-        } catch (error) {
-            console.error("Error creating game:", error);
-            // Use a non-alert message box in a real app
-            console.log("Failed to create game. Check console for details.");
-        }
-    }, [db, userId, screenName]);
+    // Only set optional fields that are present: Firestore rejects undefined values
+    const roundName = round.trim();
+    const explanationText = explanation.trim();
+    const citationText = citation.trim();
+    return {
+        question: {
+            ...question,
+            ...(imageUrl && { imageUrl }),
+            ...(audioUrl && { audioUrl }),
+            ...(roundName && { round: roundName }),
+            ...(explanationText && { explanation: explanationText }),
+            ...(citationText && { citation: citationText }),
+        },
+    };
+};
 
-    const handleJoinGame = useCallback(async (code) => {
-        if (!db || !userId || !screenName) return;
-        const normalizedCode = code.toUpperCase();
+/** The type-specific part of buildQuestion: answer and options. */
+const buildTypedQuestion = ({ type: rawType = '', question: rawQuestion = '', correctAnswer: rawAnswer = '', options = [], acceptedAnswers = [] }) => {
+    // CSV cells arrive trimmed, editor input doesn't
+    const question = rawQuestion.trim();
+    const correctAnswer = String(rawAnswer).trim();
+    const type = QUESTION_TYPE_ALIASES[rawType.trim().toLowerCase().replace(/[-_]/g, ' ')];
+    if (!type) return { error: `Unknown question type "${rawType}".` };
+    if (!question) return { error: 'Missing question text.' };
+    if (!correctAnswer) return { error: 'Missing correct answer.' };
 
-        const gameDocRef = getGameDocPath(db, normalizedCode);
-        const gameSnap = await getDoc(gameDocRef);
+    const extraCells = options.map(o => o.trim()).filter(o => o);
 
-        if (!gameSnap.exists()) {
-            // Use a non-alert message box in a real app
-            console.log("Game code is invalid or game has ended.");
+    switch (type) {
+        case QUESTION_TYPES.TRUE_FALSE: {
+            const answer = /^(true|t|yes|y)$/i.test(correctAnswer) ? 'True'
+                : /^(false|f|no|n)$/i.test(correctAnswer) ? 'False'
+                : null;
+            if (!answer) return { error: 'True/false answer must be True or False.' };
+            return { question: { type, question, correctAnswer: answer, options: ['True', 'False'] } };
+        }
+        case QUESTION_TYPES.FREE_TEXT: {
+            const alternatives = [...new Set([...acceptedAnswers.map(a => a.trim()), ...extraCells].filter(a => a && a !== correctAnswer))];
+            return { question: { type, question, correctAnswer, acceptedAnswers: alternatives, options: [] } };
+        }
+        case QUESTION_TYPES.NUMERIC: {
+            const answer = parseNumber(correctAnswer);
+            if (!Number.isFinite(answer)) return { error: 'Numeric answer must be a number.' };
+            return { question: { type, question, correctAnswer: answer, options: [] } };
+        }
+        case QUESTION_TYPES.ORDER: {
+            // The answer cell holds the first item, the following cells the rest, in the correct order
+            const items = [correctAnswer, ...extraCells].slice(0, 6);
+            if (items.length < 2) return { error: 'Needs at least two items to put in order.' };
+            if (new Set(items).size !== items.length) return { error: 'Items to order must be unique.' };
+            let shuffled = shuffleArray(items);
+            if (shuffled.every((item, index) => item === items[index])) {
+                shuffled = [...shuffled.slice(1), shuffled[0]]; // Never show the answer as the starting order
+            }
+            return { question: { type, question, correctAnswer: items, options: shuffled } };
+        }
+        default: {
+            // Collect all options (correct answer + up to 4 distractors)
+            const allOptions = [correctAnswer, ...extraCells].slice(0, 5);
+
+            // Must have the correct answer and at least one other option for trivia game
+            if (allOptions.length < 2) return { error: 'Needs at least one incorrect option.' };
+            if (new Set(allOptions).size !== allOptions.length) {
+                return { error: 'Options must be unique (an incorrect option repeats another option).' };
+            }
+            return { question: { type, question, correctAnswer, options: shuffleArray(allOptions) } };
+        }
+    }
+};
+
+/** The fields buildQuestion takes, recovered from a stored question (the editor edits these). */
+const toQuestionFields = (question) => {
+    const type = getQuestionType(question);
+    const [firstItem = '', ...otherItems] = type === QUESTION_TYPES.ORDER ? question.correctAnswer : [];
+    return {
+        type,
+        question: question.question,
+        correctAnswer: type === QUESTION_TYPES.ORDER ? firstItem : String(question.correctAnswer ?? ''),
+        options: type === QUESTION_TYPES.ORDER
+            ? otherItems
+            : type === QUESTION_TYPES.MULTIPLE_CHOICE
+            ? question.options.filter(option => option !== question.correctAnswer)
+            : [],
+        acceptedAnswers: question.acceptedAnswers || [],
+        imageUrl: question.imageUrl || '',
+        audioUrl: question.audioUrl || '',
+        round: question.round || '',
+        explanation: question.explanation || '',
+        citation: question.citation || '',
+    };
+};
+
+/** True when a record looks like a column header row, e.g. "Question, Correct Answer, Option 1, ...". */
+const isCSVHeaderRow = (fields) => {
+    const names = fields.map(f => f.toLowerCase());
+    const questionIndex = names.indexOf('question');
+    return questionIndex !== -1 && names.some((name, index) => index !== questionIndex && /answer/.test(name));
+};
+
+/**
+ * Maps header names to columns. Without a header the columns are positional:
+ * Question, Correct Answer, then options.
+ * Recognised names: Type, Question, (Correct) Answer, Accepted (answers, separated by "|"),
+ * Image and Audio (a URL or a file name), Round (or Category), Explanation (or Fun Fact),
+ * Citation (or Source: a quote shown on reveal).
+ * Every other column holds options.
+ */
+const getCSVColumns = (header) => {
+    if (!header) return { question: 0, correctAnswer: 1, firstOption: 2 };
+
+    const columns = { optionColumns: [] };
+    header.forEach((name, index) => {
+        const key = name.toLowerCase();
+        if (key === 'type') columns.type = index;
+        else if (key === 'question') columns.question = index;
+        else if (/^accepted|alternative/.test(key)) columns.acceptedAnswers = index;
+        else if (/^(image|picture|photo)/.test(key)) columns.imageUrl = index;
+        else if (/^(audio|sound)/.test(key)) columns.audioUrl = index;
+        else if (/^(round|category)/.test(key)) columns.round = index;
+        else if (/^(explanation|fun ?fact)/.test(key)) columns.explanation = index;
+        else if (/^(citation|source)/.test(key)) columns.citation = index;
+        else if (/answer/.test(key) && columns.correctAnswer === undefined) columns.correctAnswer = index;
+        else columns.optionColumns.push(index);
+    });
+    columns.firstOption = header.length; // Cells past the last header column are options too
+    return columns;
+};
+
+/** Reads a record's cells into the fields buildQuestion expects. */
+const readCSVRecord = (fields, columns) => {
+    const cell = (index) => (index === undefined ? '' : fields[index] ?? '');
+    return {
+        type: cell(columns.type),
+        question: cell(columns.question),
+        correctAnswer: cell(columns.correctAnswer),
+        acceptedAnswers: cell(columns.acceptedAnswers).split('|').map(a => a.trim()).filter(a => a),
+        imageUrl: cell(columns.imageUrl),
+        audioUrl: cell(columns.audioUrl),
+        round: cell(columns.round),
+        explanation: cell(columns.explanation),
+        citation: cell(columns.citation),
+        options: [...(columns.optionColumns || []).map(cell), ...fields.slice(columns.firstOption)],
+    };
+};
+
+/**
+ * Parses CSV text into a structured questions array.
+ * Returns { questions, errors } where errors lists each rejected row as { line, reason }.
+ */
+const parseCSV = (csvText) => {
+    const { records, errors } = tokenizeCSV(csvText);
+    const questions = [];
+
+    // Optional header row, only recognised as the first record
+    const header = records.length > 0 && isCSVHeaderRow(records[0].fields) ? records[0].fields : null;
+    const columns = getCSVColumns(header);
+
+    records.forEach(({ line, fields }, index) => {
+        if (header && index === 0) return;
+
+        const { question, error } = buildQuestion(readCSVRecord(fields, columns));
+        if (error) {
+            errors.push({ line, reason: error });
             return;
         }
+        questions.push({ id: questions.length, ...question });
+    });
 
-        const gameData = gameSnap.data();
-        if (gameData.status !== 'LOBBY' && gameData.status !== 'UPLOAD') {
-             // Use a non-alert message box in a real app
-             console.log("Game is already in progress and cannot be joined.");
-             return;
+    errors.sort((a, b) => a.line - b.line);
+    return { questions, errors };
+};
+
+
+// --- Merging Question Sources ---
+
+/** Next free numeric id (CSV questions are numbered by row, older AI questions were `llm-N`). */
+const getNextQuestionId = (ids) => Math.max(-1, ...ids.filter(id => typeof id === 'number')) + 1;
+
+/** Renumbers questions so their ids don't clash with the ids already taken. */
+const withFreshIds = (questions, takenIds = []) => {
+    const firstId = getNextQuestionId(takenIds);
+    return questions.map((question, index) => ({ ...question, id: firstId + index }));
+};
+
+/** Appends incoming questions to the current list with collision-free ids. */
+const mergeQuestions = (current, incoming) => [...current, ...withFreshIds(incoming, current.map(q => q.id))];
+
+const NEAR_DUPLICATE_MAX_DIFFERENCE = 0.15; // Share of characters that may differ (typos, rewording)
+const NEAR_DUPLICATE_MIN_WORD_OVERLAP = 0.5; // Cheap pre-check before the edit distance
+
+/**
+ * True when two questions read the same apart from small differences.
+ * Questions with different media ("Whose logo is this?") are never duplicates.
+ */
+const isNearDuplicate = (a, b) => {
+    if ((a.imageUrl || '') !== (b.imageUrl || '') || (a.audioUrl || '') !== (b.audioUrl || '')) return false;
+
+    const left = normalizeText(a.question);
+    const right = normalizeText(b.question);
+    if (left === right) return true;
+
+    const leftWords = new Set(left.split(' '));
+    const rightWords = new Set(right.split(' '));
+    const sharedWords = [...leftWords].filter(word => rightWords.has(word)).length;
+    if (sharedWords / new Set([...leftWords, ...rightWords]).size < NEAR_DUPLICATE_MIN_WORD_OVERLAP) return false;
+
+    return editDistance(left, right) <= Math.max(left.length, right.length) * NEAR_DUPLICATE_MAX_DIFFERENCE;
+};
+
+/**
+ * Incoming questions that look like one already loaded (or an earlier incoming one).
+ * Returns [{ question, match }] where match is the question it resembles.
+ */
+const findNearDuplicates = (incoming, existing) => {
+    const seen = [...existing];
+    const duplicates = [];
+    incoming.forEach(question => {
+        const match = seen.find(other => isNearDuplicate(question, other));
+        if (match) duplicates.push({ question, match });
+        seen.push(question);
+    });
+    return duplicates;
+};
+
+
+/**
+ * The part of a question players may see while it is being asked.
+ * The full question (with correctAnswer) stays in the host-only questions doc.
+ */
+const toPublicQuestion = ({ id, type, question, options, imageUrl, audioUrl }) => ({
+    id,
+    type: type || QUESTION_TYPES.MULTIPLE_CHOICE,
+    question,
+    options,
+    ...(imageUrl && { imageUrl }),
+    ...(audioUrl && { audioUrl }),
+});
+
+
+// --- AI Question Generation ---
+// Batch size, chunk size and the generator options' choices are in worker/prompts.js
+const MAX_GENERATED_QUESTIONS = 50;
+const MAX_SOURCE_TEXT_LENGTH = 200000; // About 35 chunks; longer documents are cut off
+
+const DEFAULT_GENERATOR_OPTIONS = {
+    count: 10,
+    difficulty: 'MEDIUM',
+    audience: 'GENERAL',
+    language: 'English',
+};
+
+/**
+ * Splits source text into chunks of at most SOURCE_CHUNK_SIZE characters, breaking between
+ * paragraphs where possible, then between sentences, and mid-sentence only as a last resort.
+ */
+const chunkSourceText = (text) => {
+    const pieces = text
+        .slice(0, MAX_SOURCE_TEXT_LENGTH)
+        .split(/\n\s*\n/)
+        .map(paragraph => paragraph.trim())
+        .filter(paragraph => paragraph)
+        .flatMap(paragraph => (paragraph.length <= SOURCE_CHUNK_SIZE ? [paragraph] : paragraph.split(/(?<=[.!?])\s+/)))
+        .flatMap(piece => piece.match(new RegExp(`[\\s\\S]{1,${SOURCE_CHUNK_SIZE}}`, 'g')));
+
+    const chunks = [];
+    pieces.forEach(piece => {
+        const last = chunks[chunks.length - 1];
+        if (last !== undefined && last.length + piece.length + 2 <= SOURCE_CHUNK_SIZE) {
+            chunks[chunks.length - 1] = `${last}\n\n${piece}`;
+        } else {
+            chunks.push(piece);
         }
+    });
+    return chunks;
+};
 
-        try {
-            // Create Player Document
-            const playerDocRef = getPlayerDocPath(db, normalizedCode, userId);
-            await setDoc(playerDocRef, {
-                name: screenName,
-                score: 0,
-                isHost: false,
-                lastAnswer: null,
-                timestamp: Date.now(),
+/** Splits `total` into `buckets` near-equal whole parts, spread evenly when buckets > total. */
+const distributeCount = (total, buckets) => Array.from({ length: buckets }, (_, i) =>
+    Math.floor(((i + 1) * total) / buckets) - Math.floor((i * total) / buckets));
+
+/**
+ * Text of an uploaded .txt, .md or .pdf file. PDF text is extracted page by page with pdf.js,
+ * loaded on first use so it stays out of the main bundle.
+ */
+const readSourceFile = async (file) => {
+    if (!/\.pdf$/i.test(file.name) && file.type !== 'application/pdf') return file.text();
+
+    const [pdfjs, { default: workerUrl }] = await Promise.all([
+        import('pdfjs-dist'),
+        import('pdfjs-dist/build/pdf.worker.min.mjs?url'),
+    ]);
+    pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+    const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const content = await (await pdf.getPage(pageNumber)).getTextContent();
+        pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : '')).join(''));
+    }
+    return pages.join('\n\n');
+};
+
+/**
+ * Turns one generated item into a question, with the same validation as a CSV row.
+ * Questions from source text must quote it, so a made-up citation is rejected.
+ */
+const fromGeneratedQuestion = (item, sourceText) => {
+    const citation = String(item?.citation ?? '').trim();
+    if (sourceText) {
+        if (!citation) return { error: 'Missing citation from the source text.' };
+        if (!normalizeText(sourceText).includes(normalizeText(citation))) {
+            return { error: 'Its citation is not in the source text.' };
+        }
+    }
+    return buildQuestion({
+        question: String(item?.question ?? ''),
+        correctAnswer: String(item?.correctAnswer ?? ''),
+        options: [item?.distractor1, item?.distractor2, item?.distractor3].map(option => String(option ?? '')),
+        citation: sourceText ? citation : '',
+    });
+};
+
+/**
+ * Generates up to `count` questions, requested in batches so large sets stay reliable: on a
+ * topic, or from `sourceText`, which is chunked with the questions spread over the chunks.
+ * Every batch is told to avoid the loaded questions and the ones generated so far; repeats it
+ * returns anyway are dropped. Returns { questions, errors } like parseCSV, where each error is
+ * { number, reason } for the n-th generated item.
+ */
+const generateTriviaQuestions = async ({ topic, sourceText, count, difficulty, audience, language, existingQuestions = [], onProgress }) => {
+    const target = Math.min(Math.max(count, 1), MAX_GENERATED_QUESTIONS);
+    const chunks = sourceText ? chunkSourceText(sourceText) : [null];
+    if (chunks.length === 0) throw new Error("The source text is empty.");
+    const quotas = distributeCount(target, chunks.length);
+
+    const questions = [];
+    const errors = [];
+    let itemNumber = 0;
+
+    for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
+        const chunk = chunks[chunkIndex];
+        let remaining = quotas[chunkIndex];
+
+        while (remaining > 0) {
+            const batchSize = Math.min(GENERATION_BATCH_SIZE, remaining);
+            const avoid = getAvoidList([...existingQuestions, ...questions].map(q => q.question));
+            const batchInput = { count: batchSize, difficulty, audience, language, avoid };
+            const generated = parseLlmJson(await (chunk
+                ? callLlm('sourceQuestions', { sourceText: chunk, ...batchInput })
+                : callLlm('questions', { topic, ...batchInput })));
+            if (!Array.isArray(generated)) throw new Error("Received an invalid question array from the LLM.");
+
+            let added = 0;
+            generated.slice(0, batchSize).forEach(item => {
+                itemNumber++;
+                const { question, error } = fromGeneratedQuestion(item, chunk);
+                if (error) {
+                    errors.push({ number: itemNumber, reason: error });
+                } else if ([...existingQuestions, ...questions].some(other => isNearDuplicate(question, other))) {
+                    errors.push({ number: itemNumber, reason: 'Repeats a question that is already loaded or generated.' });
+                } else {
+                    questions.push({ id: questions.length, ...question });
+                    added++;
+                }
             });
 
-            setGameCode(normalizedCode);
-            setMode('LOBBY');
-        } catch (error) {
-            console.error("Error joining game:", error);
-            // Use a non-alert message box in a real app
-            console.log("Failed to join game. Check console for details.");
+            onProgress?.(questions.length, target);
+            remaining -= added;
+            // The model has run out of new questions on this topic or chunk; don't keep asking
+            if (added === 0) break;
         }
-    }, [db, userId, screenName]);
+    }
 
-    // --- RENDER FUNCTIONS ---
+    return { questions, errors };
+};
 
-    if (isLoading) {
-        return <div className="min-h-screen flex items-center justify-center bg-gray-900 text-white"><p>Loading Firebase...</p></div>;
+/**
+ * The fun fact shown once a question is revealed: its own explanation (CSV column or editor)
+ * when it has one, otherwise an AI one if the host turned those on. Resolves to null for none.
+ */
+const getExplanation = async (question, useAi) => {
+    if (question.explanation) return question.explanation;
+    // Questions from the host's own material show their citation instead; web facts could contradict it
+    if (!useAi || question.citation) return null;
+
+    return callLlm('explanation', { question: question.question, answer: formatAnswer(question.correctAnswer) });
+};
+
+// --- AI Answer Verification ---
+
+/** Badge text and colors for each verification status, worst first. */
+const VERIFICATION_STATUSES = {
+    INCORRECT: { label: 'Likely wrong', icon: '❌', className: 'bg-red-600 text-white' },
+    DUPLICATE_OPTIONS: { label: 'Duplicate options', icon: '⚠️', className: 'bg-orange-500 text-gray-900' },
+    AMBIGUOUS: { label: 'Ambiguous', icon: '⚠️', className: 'bg-yellow-400 text-gray-900' },
+    OK: { label: 'Verified', icon: '✅', className: 'bg-green-600 text-white' },
+};
+
+/** Identifies a question's content, so a verification stops applying once the question is edited. */
+const getQuestionFingerprint = (question) => JSON.stringify([
+    getQuestionType(question),
+    question.question,
+    question.correctAnswer,
+    [...(question.options || [])].sort(),
+    question.acceptedAnswers || [],
+]);
+
+/** Options that read the same once case, accents and punctuation are ignored ("Paris" / "paris."). */
+const findDuplicateOptions = (question) => {
+    const seen = new Map();
+    const duplicates = [];
+    (question.options || []).forEach(option => {
+        const key = normalizeText(option);
+        if (seen.has(key)) duplicates.push([seen.get(key), option]);
+        else seen.set(key, option);
+    });
+    return duplicates;
+};
+
+/** A question as the verifier reads it: the text, the marked answer and the other options. */
+const toVerificationInput = (question) => {
+    const type = getQuestionType(question);
+    return {
+        type,
+        question: question.question,
+        answer: formatAnswer(question.correctAnswer),
+        otherOptions: type === QUESTION_TYPES.MULTIPLE_CHOICE ? question.options.filter(option => option !== question.correctAnswer) : [],
+        acceptedAnswers: question.acceptedAnswers || [],
+    };
+};
+
+/**
+ * Sends questions back through the LLM (with search grounding) to catch wrong answers,
+ * distractors that are also correct and duplicate options, VERIFY_BATCH_SIZE at a time.
+ * Returns { [questionId]: { status, confidence, issue, fingerprint } }; duplicate options
+ * found locally are reported even when the model misses them.
+ */
+const verifyQuestions = async (questions, onProgress) => {
+    const results = {};
+    for (let start = 0; start < questions.length; start += VERIFY_BATCH_SIZE) {
+        const batch = questions.slice(start, start + VERIFY_BATCH_SIZE);
+        const verdicts = parseLlmJson(await callLlm('verification', { questions: batch.map(toVerificationInput) }));
+        if (!Array.isArray(verdicts)) throw new Error("Received an invalid verification array from the LLM.");
+
+        batch.forEach((question, i) => {
+            const verdict = verdicts.find(v => Number(v?.number) === i + 1);
+            const duplicates = findDuplicateOptions(question);
+            const modelStatus = VERIFICATION_STATUSES[verdict?.verdict] ? verdict.verdict : null;
+            const status = modelStatus === 'INCORRECT' ? modelStatus : duplicates.length > 0 ? 'DUPLICATE_OPTIONS' : modelStatus;
+            if (!status) return; // Left unchecked: no badge
+
+            const duplicateIssue = duplicates.map(([a, b]) => `"${a}" and "${b}" are the same option.`).join(' ');
+            const confidence = Number(verdict?.confidence);
+            results[question.id] = {
+                status,
+                // The model's confidence is in its own verdict, so it's dropped when a local check overrides it
+                confidence: status === modelStatus && Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : null,
+                issue: [verdict?.verdict !== 'OK' && verdict?.issue, duplicateIssue].filter(Boolean).join(' '),
+                fingerprint: getQuestionFingerprint(question),
+            };
+        });
+        onProgress?.(Math.min(start + VERIFY_BATCH_SIZE, questions.length), questions.length);
     }
+    return results;
+};
 
-    // If route has code param and we're still at HOME with no gameCode set, prefill into Home component
-    const routePrefilledCode = prefillFromRoute && params?.code ? params.code.toUpperCase().substring(0,4) : null;
 
-    if (mode === 'HOME' || !userId) {
-        return (
-            <div className="min-h-screen bg-gray-900 flex items-center justify-center p-4">
-                <Home
-                    onJoin={handleJoinGame}
-                    onCreate={handleCreateGame}
-                    screenName={screenName}
-                    setScreenName={setScreenName}
-                    prefilledCode={routePrefilledCode}
-                />
-            </div>
-        );
+// --- Game History ---
+// The game doc and player docs are deleted when the host closes the room, so once the game reaches
+// the results screen the saveGameHistory function (functions/index.js) saves a record of it under
+// the user who created it, listed at /#/history (HistoryScreen.jsx).
+// Each player's per-question answers come from `answers` on their player doc, written by the
+// scoring function (functions/index.js): { [questionIndex]: { answer, correct, points, responseMs } }.
+const MAX_HISTORY_GAMES = 50; // Most recent games listed
+
+/** Players sorted by score, host excluded, with shared ranks for ties (1, 2, 2, 4). */
+const getStandings = (players) => {
+    const sorted = players.filter(p => !p.isHost).sort((a, b) => (b.score || 0) - (a.score || 0));
+    return sorted.map(player => ({
+        ...player,
+        rank: sorted.findIndex(p => (p.score || 0) === (player.score || 0)) + 1,
+    }));
+};
+
+/**
+ * The history record for a finished game: settings, the questions played and the standings with every answer.
+ * The saved record is built by the saveGameHistory function's copy of this; keep the two in step.
+ */
+const buildGameRecord = ({ gameCode, lobbyState, players, questions }) => {
+    const questionCount = Math.min(getPlayableQuestionCount(lobbyState), questions.length);
+    const standings = getStandings(players).map(({ id, name, score, rank, answers }) => ({
+        id,
+        name,
+        score: score || 0,
+        rank,
+        answers: answers || {},
+    }));
+    return {
+        gameCode,
+        settings: getGameSettings(lobbyState),
+        rounds: lobbyState?.rounds || [],
+        questions: questions.slice(0, questionCount),
+        questionCount,
+        players: standings,
+        playerCount: standings.length,
+        winner: standings[0]?.name || null,
+    };
+};
+
+// --- Awards ---
+// Handed out on the results screen, worked out from every player's `answers` (see Game History).
+const MIN_STREAK_FOR_AWARD = 3;
+const MIN_CORRECT_FOR_SPEED_AWARD = 2; // One lucky tap isn't enough for the speed award
+
+/** The questions played with their answers, published to the game doc when the game ends for every player's recap. */
+const buildAnswerKey = (questions) => questions.map(({ question, correctAnswer }) => ({ question, correctAnswer }));
+
+/** Entries of a player's answers map, in question order. */
+const getAnswerEntries = (player, questionCount) =>
+    Array.from({ length: questionCount }, (_, index) => player.answers?.[index] || null);
+
+/** Longest run of consecutive correct answers (questions sat out break the run). */
+const getLongestStreak = (entries) => {
+    let longest = 0;
+    let current = 0;
+    entries.forEach(entry => {
+        current = entry?.correct ? current + 1 : 0;
+        longest = Math.max(longest, current);
+    });
+    return longest;
+};
+
+/**
+ * Each player's lowest rank after any question. Scores are rebuilt from the points per question,
+ * starting from whatever the player didn't earn by answering (a late joiner's starting score).
+ */
+const getLowestRanks = (standings, questionCount) => {
+    const runningScores = standings.map(player => {
+        const entries = getAnswerEntries(player, questionCount);
+        let score = (player.score || 0) - entries.reduce((sum, entry) => sum + (entry?.points || 0), 0);
+        return entries.map(entry => (score += entry?.points || 0));
+    });
+    return standings.map((_, playerIndex) => Math.max(...Array.from({ length: questionCount }, (_, questionIndex) => {
+        const score = runningScores[playerIndex][questionIndex];
+        return 1 + runningScores.filter(scores => scores[questionIndex] > score).length;
+    })));
+};
+
+/**
+ * End-of-game awards as [{ emoji, title, winner, detail }]; an award nobody qualifies for is left out.
+ * `standings` come from getStandings, so ties go to the higher-ranked player.
+ */
+const getAwards = (standings, questionCount) => {
+    if (standings.length === 0 || questionCount === 0) return [];
+
+    const lowestRanks = getLowestRanks(standings, questionCount);
+    const stats = standings.map((player, index) => {
+        const entries = getAnswerEntries(player, questionCount);
+        const correctTimes = entries.filter(entry => entry?.correct && typeof entry.responseMs === 'number').map(entry => entry.responseMs);
+        return {
+            player,
+            correctCount: entries.filter(entry => entry?.correct).length,
+            averageCorrectMs: correctTimes.length >= MIN_CORRECT_FOR_SPEED_AWARD ? correctTimes.reduce((a, b) => a + b, 0) / correctTimes.length : null,
+            streak: getLongestStreak(entries),
+            climb: lowestRanks[index] - player.rank,
+        };
+    });
+
+    // The first player with the highest value, skipping anyone who doesn't qualify
+    const best = (getValue, qualifies) => stats.reduce((winner, stat) => (
+        qualifies(stat) && (!winner || getValue(stat) > getValue(winner)) ? stat : winner
+    ), null);
+
+    const sharpshooter = best(stat => stat.correctCount, stat => stat.correctCount > 0);
+    const speedDemon = best(stat => -stat.averageCorrectMs, stat => stat.averageCorrectMs !== null);
+    const comebackKid = best(stat => stat.climb, stat => stat.climb > 0);
+    const onFire = best(stat => stat.streak, stat => stat.streak >= MIN_STREAK_FOR_AWARD);
+
+    return [
+        sharpshooter && { emoji: '🎯', title: 'Sharpshooter', winner: sharpshooter.player.name, detail: `${sharpshooter.correctCount} of ${questionCount} correct` },
+        speedDemon && { emoji: '⚡', title: 'Speed Demon', winner: speedDemon.player.name, detail: `${(speedDemon.averageCorrectMs / 1000).toFixed(1)}s average on correct answers` },
+        comebackKid && { emoji: '📈', title: 'Comeback Kid', winner: comebackKid.player.name, detail: `Climbed from #${comebackKid.player.rank + comebackKid.climb} to #${comebackKid.player.rank}` },
+        onFire && { emoji: '🔥', title: 'On Fire', winner: onFire.player.name, detail: `${onFire.streak} correct in a row` },
+    ].filter(Boolean);
+};
+
+// --- Results Export ---
+// Downloads for a finished game (a buildGameRecord record): the standings and the answer matrix
+// as CSV or JSON, and the questions as a CSV that parseCSV reads back in.
+
+/**
+ * Quotes a CSV cell when it holds a comma, quote, line break or leading/trailing whitespace.
+ * With escapeFormulas, text starting with = + - @ tab or CR gets a leading ' so a spreadsheet shows
+ * it instead of running it as a formula (player names and answers are typed by anyone). Plain
+ * numbers are left alone, so a negative score or numeric answer stays a number.
+ */
+const toCSVCell = (value, escapeFormulas) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (escapeFormulas && /^[=+\-@\t\r]/.test(text) && !Number.isFinite(Number(text))) text = `'${text}`;
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV text for a list of rows, with a BOM so spreadsheet apps read it as UTF-8 (tokenizeCSV strips it).
+ * Formulas are escaped unless escapeFormulas is false, which the Questions CSV needs to read back as written.
+ */
+const toCSV = (rows, { escapeFormulas = true } = {}) =>
+    '\uFEFF' + rows.map(row => row.map(cell => toCSVCell(cell, escapeFormulas)).join(',')).join('\r\n') + '\r\n';
+
+/** Final standings: rank, name, score and how many questions each player got right. */
+const getStandingsRows = (record) => record.players.map(player => ({
+    rank: player.rank,
+    name: player.name,
+    score: player.score,
+    correctAnswers: Object.values(player.answers || {}).filter(entry => entry.correct).length,
+}));
+
+/**
+ * One row per player and question: their answer, whether it was right, the points and the
+ * response time. Questions a player sat out (late join) have null answer, correct, points and time.
+ */
+const getAnswerMatrix = (record) => record.players.flatMap(player => record.questions.map((question, index) => {
+    const entry = player.answers?.[index];
+    return {
+        player: player.name,
+        questionNumber: index + 1,
+        question: question.question,
+        answer: entry ? entry.answer : null,
+        correct: entry ? entry.correct : null,
+        points: entry ? entry.points : null,
+        responseMs: entry ? entry.responseMs : null,
+    };
+}));
+
+/** The questions as CSV with a header row, in the format parseCSV accepts. */
+const toQuestionCSV = (questions) => {
+    const fields = questions.map(toQuestionFields);
+    const optionCount = Math.max(0, ...fields.map(f => f.options.length));
+    const header = [
+        'Type', 'Question', 'Correct Answer', 'Accepted Answers', 'Image', 'Audio', 'Round', 'Explanation', 'Citation',
+        ...Array.from({ length: optionCount }, (_, i) => `Option ${i + 1}`),
+    ];
+    return toCSV([
+        header,
+        ...fields.map(f => [f.type, f.question, f.correctAnswer, f.acceptedAnswers.join('|'), f.imageUrl, f.audioUrl, f.round, f.explanation, f.citation, ...f.options]),
+    ], { escapeFormulas: false });
+};
+
+/** The exports offered for a game record, as { label, fileName, type, getContent }. */
+const getResultsExports = (record) => {
+    const baseName = `smartish-${record.gameCode}`;
+    const standingsColumns = ['Rank', 'Player', 'Score', 'Correct Answers'];
+    const matrixColumns = ['Player', 'Question #', 'Question', 'Answer', 'Correct', 'Points', 'Response (ms)'];
+    return [
+        {
+            label: 'Standings CSV',
+            fileName: `${baseName}-standings.csv`,
+            type: 'text/csv',
+            getContent: () => toCSV([standingsColumns, ...getStandingsRows(record).map(Object.values)]),
+        },
+        {
+            label: 'Standings JSON',
+            fileName: `${baseName}-standings.json`,
+            type: 'application/json',
+            getContent: () => JSON.stringify({ gameCode: record.gameCode, standings: getStandingsRows(record) }, null, 2),
+        },
+        {
+            label: 'Answers CSV',
+            fileName: `${baseName}-answers.csv`,
+            type: 'text/csv',
+            getContent: () => toCSV([
+                matrixColumns,
+                ...getAnswerMatrix(record).map(row => [row.player, row.questionNumber, row.question, formatAnswer(row.answer), row.correct, row.points, row.responseMs]),
+            ]),
+        },
+        {
+            label: 'Answers JSON',
+            fileName: `${baseName}-answers.json`,
+            type: 'application/json',
+            getContent: () => JSON.stringify({
+                gameCode: record.gameCode,
+                questions: record.questions.map((question, index) => ({ number: index + 1, question: question.question, correctAnswer: question.correctAnswer })),
+                answers: getAnswerMatrix(record),
+            }, null, 2),
+        },
+        {
+            label: 'Questions CSV',
+            fileName: `${baseName}-questions.csv`,
+            type: 'text/csv',
+            getContent: () => toQuestionCSV(record.questions),
+        },
+    ];
+};
+
+/** Saves text as a file through a temporary link. */
+const downloadFile = (fileName, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// --- Firebase Paths ---
+const getGameDocPath = (db, gameCode) => doc(db, `artifacts/${appId}/public/data/games/${gameCode}`);
+const getPlayersCollectionPath = (db, gameCode) => collection(db, `artifacts/${appId}/public/data/games/${gameCode}/players`);
+const getPlayerDocPath = (db, gameCode, userId) => doc(db, `artifacts/${appId}/public/data/games/${gameCode}/players/${userId}`);
+// Host-only: the full question list including correct answers
+const getQuestionsDocPath = (db, gameCode) => doc(db, `artifacts/${appId}/public/data/games/${gameCode}/private/questions`);
+// Question sets saved by a host, private to their uid
+const getQuestionSetsCollectionPath = (db, userId) => collection(db, `artifacts/${appId}/users/${userId}/questionSets`);
+const getQuestionSetDocPath = (db, userId, setId) => doc(db, `artifacts/${appId}/users/${userId}/questionSets/${setId}`);
+// Finished games, saved by their host when the room closes (see Game History)
+const getGameHistoryCollectionPath = (db, userId) => collection(db, `artifacts/${appId}/users/${userId}/gameHistory`);
+// Media files belong to the uploading host, not a game, so saved question sets keep working
+const getMediaStoragePath = (storage, userId, fileName) => storageRef(storage, `artifacts/${appId}/media/${userId}/${Date.now()}-${fileName}`);
+
+
+// --- Media Uploads ---
+
+/** Media file names the questions refer to (Image/Audio cells that aren't URLs). */
+const getReferencedMediaFiles = (questions) => {
+    const names = questions.flatMap(q => [q.imageUrl, q.audioUrl]).filter(value => value && !isMediaUrl(value));
+    return [...new Set(names)];
+};
+
+/** Referenced media file names with no matching file picked by the host. */
+const getMissingMediaFiles = (questions, files) => {
+    const pickedNames = new Set(files.map(file => file.name.toLowerCase()));
+    return getReferencedMediaFiles(questions).filter(name => !pickedNames.has(name.toLowerCase()));
+};
+
+/**
+ * Uploads the picked files the questions refer to by name and swaps each name for its
+ * download URL. Each file is uploaded once, however many questions use it.
+ */
+const uploadQuestionMedia = async (storage, userId, questions, files) => {
+    const urlsByName = {};
+    for (const name of getReferencedMediaFiles(questions)) {
+        const file = files.find(f => f.name.toLowerCase() === name.toLowerCase());
+        if (!file) throw new Error(`Media file "${name}" was not attached.`);
+        const snapshot = await uploadBytes(getMediaStoragePath(storage, userId, file.name), file, { contentType: file.type });
+        urlsByName[name] = await getDownloadURL(snapshot.ref);
     }
 
-    const currentQuestion = lobbyState?.questions?.[lobbyState.currentQuestionIndex];
+    const resolve = (value) => (value && urlsByName[value]) || value;
+    return questions.map(q => {
+        if (!hasMedia(q)) return q;
+        const resolved = { ...q };
+        if (q.imageUrl) resolved.imageUrl = resolve(q.imageUrl);
+        if (q.audioUrl) resolved.audioUrl = resolve(q.audioUrl);
+        return resolved;
+    });
+};
 
-    if (mode === 'LOBBY' && (lobbyState?.status === 'LOBBY' || lobbyState?.status === 'UPLOAD')) {
-        return (
-            <LobbyScreen
-                db={db}
-                gameCode={gameCode}
-                lobbyState={lobbyState}
-                players={players}
-                userId={userId}
-                isHost={isHost}
-                setMode={setMode}
-            />
-        );
+
+// --- Session Persistence ---
+// The anonymous auth uid survives a refresh, so remembering the game code is enough to
+// find the player's doc again and drop them back into the right screen.
+const ACTIVE_GAME_STORAGE_KEY = `smartish:${appId}:activeGame`;
+
+const loadActiveGameCode = () => {
+    try {
+        return localStorage.getItem(ACTIVE_GAME_STORAGE_KEY);
+    } catch (e) {
+        return null; // Storage can be unavailable (e.g. some private browsing modes)
     }
+};
 
-    if (mode === 'LOBBY' && lobbyState?.status === 'PLAYING' && isHost) {
-         return (
-             <HostGameScreen
-                 db={db}
-                 gameCode={gameCode}
-                 lobbyState={lobbyState}
-                 players={players}
-                 currentQuestion={currentQuestion}
-                 userId={userId}
-             />
-         );
+const saveActiveGameCode = (gameCode) => {
+    try {
+        localStorage.setItem(ACTIVE_GAME_STORAGE_KEY, gameCode);
+    } catch (e) {
+        console.warn("Could not remember active game:", e.message);
     }
-    
-    if (mode === 'LOBBY' && lobbyState?.status === 'PLAYING' && !isHost) {
-        return (
-            <PlayerGameScreen
-                db={db}
-                gameCode={gameCode}
-                lobbyState={lobbyState}
-                players={players}
-                currentQuestion={currentQuestion}
-                userId={userId}
-            />
-        );
+};
+
+const clearActiveGameCode = () => {
+    try {
+        localStorage.removeItem(ACTIVE_GAME_STORAGE_KEY);
+    } catch (e) {
+        // Nothing to clear
     }
-    
-    // Fallback/Results Screen
+};
+
+
+// --- Custom Hook for Firebase Initialization and Authentication ---
+const useFirebase = () => {
+    const [db, setDb] = useState(null);
+    const [auth, setAuth] = useState(null);
+    const [storage, setStorage] = useState(null);
+    const [userId, setUserId] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        try {
+            // Reuse the app when navigating between routes (e.g. the game and the TV display)
+            const isFirstInit = getApps().length === 0;
+            const app = isFirstInit ? initializeApp(firebaseConfig) : getApp();
+            const firestore = getFirestore(app);
+            const authInstance = getAuth(app);
+            const storageInstance = getStorage(app);
+
+            // Local development against `firebase emulators:start` (see firebase.json)
+            if (useEmulators && isFirstInit) {
+                connectFirestoreEmulator(firestore, 'localhost', 8080);
+                connectAuthEmulator(authInstance, 'http://localhost:9099', { disableWarnings: true });
+                connectStorageEmulator(storageInstance, 'localhost', 9199);
+            }
+
+            setDb(firestore);
+            setAuth(authInstance);
+            setStorage(storageInstance);
+
+            const unsubscribe = onAuthStateChanged(authInstance, async (user) => {
+                if (user) {
+                    setUserId(user.uid);
+                } else {
+                    // Sign in with custom token or anonymously
+                    try {
+                        if (initialAuthToken) {
+                            const userCred = await signInWithCustomToken(authInstance, initialAuthToken);
+                            setUserId(userCred.user.uid);
+                        } else {
+                            const userCred = await signInAnonymously(authInstance);
+                            setUserId(userCred.user.uid);
+                        }
+                    } catch (error) {
+                        console.error("Firebase Auth failed:", error);
+                    }
+                }
+                setIsLoading(false);
+            });
+
+            return () => unsubscribe();
+        } catch (error) {
+            console.error("Firebase initialization failed:", error);
+            setIsLoading(false);
+        }
+    }, []);
+
+    return { db, auth, storage, userId, isLoading };
+};
+
+/** True if a player's last heartbeat is older than the host grace period (or missing). */
+const isPresenceStale = (lastSeen) => {
+    const lastSeenMs = toMillis(lastSeen);
+    return !lastSeenMs || Date.now() - lastSeenMs > HOST_GRACE_PERIOD_MS;
+};
+
+// --- Custom Hook for Read-Only Game Subscriptions ---
+/** Live game doc and player list for screens that only watch a game (e.g. the TV display). */
+const useGameState = (db, gameCode) => {
+    const [lobbyState, setLobbyState] = useState(null);
+    const [players, setPlayers] = useState([]);
+    const [gameExists, setGameExists] = useState(true);
+
+    useEffect(() => {
+        if (!db || !gameCode) return;
+
+        const unsubscribeGame = onSnapshot(getGameDocPath(db, gameCode), (docSnap) => {
+            setGameExists(docSnap.exists());
+            setLobbyState(docSnap.exists() ? docSnap.data({ serverTimestamps: 'estimate' }) : null);
+        }, (error) => console.error("Error listening to game doc:", error));
+
+        const unsubscribePlayers = onSnapshot(getPlayersCollectionPath(db, gameCode), (querySnapshot) => {
+            setPlayers(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
+        }, (error) => console.error("Error listening to players collection:", error));
+
+        return () => {
+            unsubscribeGame();
+            unsubscribePlayers();
+        };
+    }, [db, gameCode]);
+
+    return { lobbyState, players, gameExists };
+};
+
+// --- Custom Hook for the Question Countdown ---
+/** Seconds left to answer, ticking from the question's (server) start time. */
+const useCountdown = (startTime, limitSeconds) => {
+    const startMs = toMillis(startTime);
+    const [timeRemaining, setTimeRemaining] = useState(limitSeconds);
+
+    useEffect(() => {
+        // Not started yet (e.g. still preloading media): show the full time
+        if (!startMs) {
+            setTimeRemaining(limitSeconds);
+            return;
+        }
+
+        const updateTimer = () => {
+            const elapsed = Date.now() - startMs;
+            setTimeRemaining(Math.max(0, limitSeconds - Math.floor(elapsed / 1000)));
+        };
+
+        updateTimer(); // Update immediately
+        const interval = setInterval(updateTimer, 100); // Update every 100ms for smooth countdown
+
+        return () => clearInterval(interval);
+    }, [startMs, limitSeconds]);
+
+    return timeRemaining;
+};
+
+// --- Custom Hook for the Question Library ---
+/** The user's saved question sets, most recently saved first. */
+const useQuestionLibrary = (db, userId) => {
+    const [questionSets, setQuestionSets] = useState([]);
+
+    useEffect(() => {
+        if (!db || !userId) return;
+
+        const setsQuery = query(getQuestionSetsCollectionPath(db, userId), orderBy('updatedAt', 'desc'));
+        const unsubscribe = onSnapshot(setsQuery, (querySnapshot) => {
+            setQuestionSets(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
+        }, (e) => console.error("Error loading question library:", e));
+
+        return () => unsubscribe();
+    }, [db, userId]);
+
+    return questionSets;
+};
+
+// --- Custom Hook for the Game History ---
+/** The user's finished games, most recent first (null until loaded). */
+const useGameHistory = (db, userId) => {
+    const [games, setGames] = useState(null);
+
+    useEffect(() => {
+        if (!db || !userId) return;
+
+        const historyQuery = query(getGameHistoryCollectionPath(db, userId), orderBy('endedAt', 'desc'), limit(MAX_HISTORY_GAMES));
+        const unsubscribe = onSnapshot(historyQuery, (querySnapshot) => {
+            setGames(querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) })));
+        }, (e) => {
+            console.error("Error loading game history:", e);
+            setGames([]);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId]);
+
+    return games;
+};
+
+// --- Custom Hook for Media Preloading ---
+/** Loads an image or audio clip into the browser cache. Resolves on failure too, so a bad URL can't stall the game. */
+const preloadMedia = (url, kind) => new Promise(resolve => {
+    if (kind === 'image') {
+        const image = new Image();
+        image.onload = image.onerror = () => resolve();
+        image.src = url;
+    } else {
+        const audio = new Audio();
+        audio.preload = 'auto';
+        audio.oncanplaythrough = audio.onerror = () => resolve();
+        audio.src = url;
+        audio.load();
+    }
+});
+
+/** True once the question's media (if any) has been preloaded on this device. */
+const useMediaPreload = (question) => {
+    const imageUrl = question?.imageUrl || '';
+    const audioUrl = question?.audioUrl || '';
+    const mediaKey = `${imageUrl}|${audioUrl}`;
+    const [loadedKey, setLoadedKey] = useState(null);
+
+    useEffect(() => {
+        if (!imageUrl && !audioUrl) return;
+        let cancelled = false;
+
+        Promise.all([
+            imageUrl && preloadMedia(imageUrl, 'image'),
+            audioUrl && preloadMedia(audioUrl, 'audio'),
+        ]).then(() => {
+            if (!cancelled) setLoadedKey(mediaKey);
+        });
+
+        return () => { cancelled = true; };
+    }, [imageUrl, audioUrl, mediaKey]);
+
+    return (!imageUrl && !audioUrl) || loadedKey === mediaKey;
+};
+
+// --- Custom Hook for Presence Heartbeats ---
+const usePresence = (db, gameCode, userId) => {
+    useEffect(() => {
+        if (!db || !gameCode || !userId) return;
+
+        const playerDocRef = getPlayerDocPath(db, gameCode, userId);
+        const heartbeat = () => {
+            updateDoc(playerDocRef, { lastSeen: serverTimestamp() })
+                .catch(e => console.warn("Presence heartbeat failed:", e.message));
+        };
+
+        // Mobile browsers pause timers while the screen is locked, so also beat on wake-up
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'visible') heartbeat();
+        };
+
+        heartbeat();
+        const interval = setInterval(heartbeat, PRESENCE_HEARTBEAT_MS);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+
+        return () => {
+            clearInterval(interval);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        };
+    }, [db, gameCode, userId]);
+};
+
+// --- Custom Hook for Host Migration ---
+/**
+ * Watches the host's heartbeat during a game. If the host has been absent longer than the
+ * grace period, the longest-connected player still present files a host claim. The
+ * assignNewHost function (functions/index.js) re-checks the heartbeats and picks the successor
+ * itself, so a claim can't hand hosting to the wrong player.
+ */
+const useHostMigration = (db, gameCode, userId, lobbyState, players) => {
+    // Read through a ref so frequent heartbeats don't keep restarting the check interval
+    const playersRef = useRef(players);
+    playersRef.current = players;
+
+    const status = lobbyState?.status;
+    const hostUserId = lobbyState?.hostUserId;
+
+    useEffect(() => {
+        if (!db || !gameCode || !userId || status !== 'PLAYING' || !hostUserId || hostUserId === userId) return;
+
+        let isClaiming = false;
+        const checkHost = async () => {
+            const currentPlayers = playersRef.current;
+            const host = currentPlayers.find(p => p.id === hostUserId);
+            if (isClaiming || (host && !isPresenceStale(host.lastSeen))) return;
+
+            // Only the expected successor files a claim, so the function runs once per hand-off
+            const successor = currentPlayers
+                .filter(p => p.id !== hostUserId && !isPresenceStale(p.lastSeen))
+                .sort((a, b) => (toMillis(a.timestamp) ?? Infinity) - (toMillis(b.timestamp) ?? Infinity))[0];
+            if (successor?.id !== userId) return;
+
+            isClaiming = true;
+            try {
+                await addDoc(collection(getGameDocPath(db, gameCode), 'hostClaims'), {
+                    playerId: userId,
+                    claimedAt: serverTimestamp(),
+                });
+                console.log('👑 Host was away, asked to take over hosting for game', gameCode);
+            } catch (e) {
+                // Usually the rules saw a fresher heartbeat than we did; try again on the next check
+                console.warn("Host claim rejected:", e.message);
+            } finally {
+                isClaiming = false;
+            }
+        };
+
+        const interval = setInterval(checkHost, HOST_CHECK_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [db, gameCode, userId, status, hostUserId]);
+};
+
+// --- Game Logic and Components ---
+
+/** Main App Component */
+const App = ({ prefillFromRoute }) => {
+    const params = prefillFromRoute ? useParams() : {};
+    const { db, storage, userId, isLoading } = useFirebase();
+    const [gameCode, setGameCode] = useState('');
+    const [lobbyState, setLobbyState] = useState(null); // Game document state
+    const [players, setPlayers] = useState([]); // Array of player documents
+    const [questions, setQuestions] = useState([]); // Full question list (host only)
+    const [screenName, setScreenName] = useState('');
+    const [mode, setMode] = useState('HOME'); // HOME, LOBBY, SPECTATE
+    const [isResuming, setIsResuming] = useState(() => !!loadActiveGameCode());
+
+    const isHost = useMemo(() => lobbyState?.hostUserId === userId, [lobbyState, userId]);
+
+    // Spectators have no player doc, so they have no presence to report
+    usePresence(db, mode === 'SPECTATE' ? null : gameCode, userId);
+    useHostMigration(db, gameCode, userId, lobbyState, players);
+
+    // Firestore Listener for Game State
+    useEffect(() => {
+        if (!db || !gameCode) return;
+
+        const gameDocRef = getGameDocPath(db, gameCode);
+        const unsubscribeGame = onSnapshot(gameDocRef, (docSnap) => {
+            if (docSnap.exists()) {
+                // Estimate pending server timestamps so countdowns start immediately
+                setLobbyState(docSnap.data({ serverTimestamps: 'estimate' }));
+                // Change mode if we successfully load a game (spectators stay spectators)
+                setMode(prevMode => prevMode === 'SPECTATE' ? prevMode : 'LOBBY');
+            } else if (gameCode && mode !== 'HOME') {
+                // Game was deleted or no longer exists
+                setLobbyState(null);
+                setPlayers([]);
+                setGameCode('');
+                if (mode !== 'SPECTATE') clearActiveGameCode();
+                setMode('HOME');
+                // Use a non-alert message box in a real app
+                console.log("Game ended by host.");
+            }
+        }, (error) => console.error("Error listening to game doc:", error));
+
+        const playersColRef = getPlayersCollectionPath(db, gameCode);
+        const unsubscribePlayers = onSnapshot(playersColRef, (querySnapshot) => {
+            const playerList = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) }));
+            setPlayers(playerList.sort((a, b) => b.score - a.score)); // Sort by score
+        }, (error) => console.error("Error listening to players collection:", error));
+
+        return () => {
+            unsubscribeGame();
+            unsubscribePlayers();
+        };
+    }, [db, gameCode, mode]);
+
+    // Firestore Listener for the host-only question list (players are denied by the rules)
+    useEffect(() => {
+        if (!db || !gameCode || !isHost) {
+            setQuestions([]);
+            return;
+        }
+
+        const unsubscribeQuestions = onSnapshot(getQuestionsDocPath(db, gameCode), (docSnap) => {
+            setQuestions(docSnap.exists() ? docSnap.data().questions || [] : []);
+        }, (error) => console.error("Error listening to questions doc:", error));
+
+        return () => unsubscribeQuestions();
+    }, [db, gameCode, isHost]);
+
+    // Resume the remembered game after a refresh, if this user still has a player doc in it
+    useEffect(() => {
+        if (!db || !userId || !isResuming) return;
+
+        const storedCode = loadActiveGameCode();
+        if (!storedCode) {
+            setIsResuming(false);
+            return;
+        }
+
+        Promise.all([getDoc(getGameDocPath(db, storedCode)), getDoc(getPlayerDocPath(db, storedCode, userId))])
+            .then(([gameSnap, playerSnap]) => {
+                if (gameSnap.exists() && playerSnap.exists()) {
+                    console.log('🔄 Resuming game', storedCode);
+                    setScreenName(playerSnap.data().name);
+                    setGameCode(storedCode);
+                    setMode('LOBBY');
+                } else {
+                    clearActiveGameCode();
+                }
+            })
+            .catch(error => console.error("Error resuming game:", error))
+            .finally(() => setIsResuming(false));
+    }, [db, userId, isResuming]);
+
+    // Game/Player Actions
+    const handleCreateGame = useCallback(async () => {
+        if (!db || !userId || !screenName) return;
+
+        const newCode = generateGameCode();
+        const gameDocRef = getGameDocPath(db, newCode);
+
+        try {
+            // 1. Create Game Document
+            await setDoc(gameDocRef, {
+                gameCode: newCode,
+                hostUserId: userId,
+                originalHostUserId: userId, // Whose history the finished game is saved to (hostUserId moves on a hand-off)
+                status: 'LOBBY', // LOBBY, UPLOAD, PLAYING, SCORING, RESULTS
+                questionCount: 0,
+                currentQuestion: null, // Public copy of the current question, without the answer
+                revealedAnswer: null, // Correct answer, copied out by the host on reveal
+                currentQuestionIndex: -1,
+                currentQuestionStartTime: null,
+                currentQuestionSeconds: null, // Time limit of the current question, enforced by firestore.rules
+                settings: { ...DEFAULT_GAME_SETTINGS },
+                revealedQuestionIndex: -1, // Written by the host to reveal the current question
+                scoredQuestionIndex: -1, // Written by the scoring function once points are awarded
+            });
+
+            // 2. Create Player Document (Host)
+            const playerDocRef = getPlayerDocPath(db, newCode, userId);
+            await setDoc(playerDocRef, {
+                name: screenName,
+                score: 0,
+                isHost: true,
+                lastAnswer: null,
+                timestamp: serverTimestamp(),
+                lastSeen: serverTimestamp(),
+            });
+
+            setGameCode(newCode);
+            setMode('LOBBY');
+            saveActiveGameCode(newCode);
+        } catch (error) {
+            console.error("Error creating game:", error);
+            // Use a non-alert message box in a real app
+            console.log("Failed to create game. Check console for details.");
+        }
+    }, [db, userId, screenName]);
+
+    const handleJoinGame = useCallback(async (code) => {
+        if (!db || !userId || !screenName) return;
+        const normalizedCode = code.toUpperCase();
+
+        const gameDocRef = getGameDocPath(db, normalizedCode);
+        const gameSnap = await getDoc(gameDocRef);
+
+        if (!gameSnap.exists()) {
+            // Use a non-alert message box in a real app
+            console.log("Game code is invalid or game has ended.");
+            return;
+        }
+
+        // Already in this game (e.g. opened the invite link again): rejoin with score intact
+        const playerDocRef = getPlayerDocPath(db, normalizedCode, userId);
+        const playerSnap = await getDoc(playerDocRef);
+        if (playerSnap.exists()) {
+            setGameCode(normalizedCode);
+            setMode('LOBBY');
+            saveActiveGameCode(normalizedCode);
+            return;
+        }
+
+        const gameData = gameSnap.data();
+        const isInProgress = gameData.status === 'PLAYING';
+        if (gameData.status !== 'LOBBY' && gameData.status !== 'UPLOAD' &&
+            !(isInProgress && getGameSettings(gameData).lateJoin !== 'OFF')) {
+             // Use a non-alert message box in a real app
+             console.log("Game is already in progress and cannot be joined.");
+             return;
+        }
+
+        try {
+            // Create Player Document
+            await setDoc(playerDocRef, {
+                name: screenName,
+                score: 0, // Late joiners starting at the lowest score are bumped by the joinInProgress function
+                isHost: false,
+                lastAnswer: null,
+                timestamp: serverTimestamp(), // Join time, used to pick the next host
+                lastSeen: serverTimestamp(),
+                // Late joiners start playing at the next question (or this one, while its round intro is up)
+                ...(isInProgress ? {
+                    joinedAtQuestionIndex: gameData.currentQuestionIndex + (['INTRO', 'WAGER'].includes(getRoundPhase(gameData)) ? 0 : 1),
+                } : {}),
+            });
+
+            setGameCode(normalizedCode);
+            setMode('LOBBY');
+            saveActiveGameCode(normalizedCode);
+        } catch (error) {
+            console.error("Error joining game:", error);
+            // Use a non-alert message box in a real app
+            console.log("Failed to join game. Check console for details.");
+        }
+    }, [db, userId, screenName]);
+
+    const handleSpectateGame = useCallback(async (code) => {
+        if (!db) return;
+        const normalizedCode = code.toUpperCase();
+
+        const gameSnap = await getDoc(getGameDocPath(db, normalizedCode));
+        if (!gameSnap.exists()) {
+            // Use a non-alert message box in a real app
+            console.log("Game code is invalid or game has ended.");
+            return;
+        }
+
+        // Spectators only listen: no player doc, so they never show up in `players`
+        setGameCode(normalizedCode);
+        setMode('SPECTATE');
+    }, [db]);
+
+    // --- RENDER FUNCTIONS ---
+
+    if (isLoading) {
+        return <div className="min-h-screen flex items-center justify-center bg-gray-900 text-white"><p>Loading Firebase...</p></div>;
+    }
+
+    if (isResuming && userId) {
+        return <div className="min-h-screen flex items-center justify-center bg-gray-900 text-white"><p>Rejoining your game...</p></div>;
+    }
+
+    // If route has code param and we're still at HOME with no gameCode set, prefill into Home component
+    const routePrefilledCode = prefillFromRoute && params?.code ? params.code.toUpperCase().substring(0,4) : null;
+
+    if (mode === 'HOME' || !userId) {
+        return (
+            <div className="min-h-screen bg-gray-900 flex items-center justify-center p-4">
+                <Home
+                    onJoin={handleJoinGame}
+                    onSpectate={handleSpectateGame}
+                    onCreate={handleCreateGame}
+                    screenName={screenName}
+                    setScreenName={setScreenName}
+                    prefilledCode={routePrefilledCode}
+                />
+            </div>
+        );
+    }
+
+    if (mode === 'SPECTATE') {
+        return (
+            <SpectatorScreen
+                gameCode={gameCode}
+                lobbyState={lobbyState}
+                players={players}
+                onLeave={() => {
+                    setGameCode('');
+                    setLobbyState(null);
+                    setPlayers([]);
+                    setMode('HOME');
+                }}
+            />
+        );
+    }
+
+    // Players only ever see the public copy; the host works from the full question list
+    const currentQuestion = isHost
+        ? questions[lobbyState?.currentQuestionIndex]
+        : lobbyState?.currentQuestion;
+
+    if (mode === 'LOBBY' && (lobbyState?.status === 'LOBBY' || lobbyState?.status === 'UPLOAD')) {
+        return (
+            <LobbyScreen
+                db={db}
+                storage={storage}
+                gameCode={gameCode}
+                lobbyState={lobbyState}
+                players={players}
+                questions={questions}
+                userId={userId}
+                isHost={isHost}
+                setMode={setMode}
+            />
+        );
+    }
+
+    if (mode === 'LOBBY' && lobbyState?.status === 'PLAYING' && isHost) {
+         return (
+             <HostGameScreen
+                 db={db}
+                 gameCode={gameCode}
+                 lobbyState={lobbyState}
+                 players={players}
+                 questions={questions}
+                 currentQuestion={currentQuestion}
+                 userId={userId}
+             />
+         );
+    }
+    
+    if (mode === 'LOBBY' && lobbyState?.status === 'PLAYING' && !isHost) {
+        return (
+            <PlayerGameScreen
+                db={db}
+                gameCode={gameCode}
+                lobbyState={lobbyState}
+                players={players}
+                currentQuestion={currentQuestion}
+                userId={userId}
+            />
+        );
+    }
+    
+    // Fallback/Results Screen
+    return (
+        <ResultsScreen
+            db={db}
+            gameCode={gameCode}
+            lobbyState={lobbyState}
+            players={players}
+            questions={questions}
+            userId={userId}
+            isHost={isHost}
+            setGameCode={setGameCode}
+            setMode={setMode}
+        />
+    );
+};
+
+// --- Sub-Components ---
+
+const Home = ({ onJoin, onSpectate, onCreate, screenName, setScreenName, prefilledCode }) => {
+    const [inputCode, setInputCode] = useState(prefilledCode || '');
+    const nameInputRef = useRef(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (nameInputRef.current) {
+            nameInputRef.current.focus();
+        }
+    }, []);
+
+    const handleJoinClick = () => {
+        if (!screenName.trim()) {
+            setError("Please enter a screen name.");
+            return;
+        }
+        if (!inputCode.trim() || inputCode.trim().length !== 4) {
+            setError("Please enter a 4-letter game code.");
+            return;
+        }
+        setError('');
+        onJoin(inputCode);
+    };
+
+    const handleSpectateClick = () => {
+        if (!inputCode.trim() || inputCode.trim().length !== 4) {
+            setError("Please enter a 4-letter game code.");
+            return;
+        }
+        setError('');
+        onSpectate(inputCode);
+    };
+
+    const handleCreateClick = () => {
+        if (!screenName.trim()) {
+            setError("Please enter a screen name.");
+            return;
+        }
+        setError('');
+        onCreate();
+    };
+
+    return (
+        <div className="w-full max-w-md bg-white p-4 sm:p-6 shadow-2xl rounded-xl animate-fade-in-down mx-2">
+            <h1 className="text-3xl sm:text-4xl font-extrabold text-gray-900 mb-4 sm:mb-6 text-center">Smartish</h1>
+            <p className="text-red-600 text-center mb-4 font-semibold text-sm">{error}</p>
+
+            <div className="mb-4 sm:mb-6">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Your Screen Name</label>
+                <input
+                    ref={nameInputRef}
+                    type="text"
+                    value={screenName}
+                    onChange={(e) => setScreenName(e.target.value.substring(0, 15))}
+                    placeholder="Enter your name (Max 15 chars)"
+                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 text-base"
+                />
+            </div>
+
+            <div className="space-y-4">
+                <div className="flex flex-col sm:flex-row gap-3">
+                    <input
+                        type="text"
+                        value={inputCode}
+                        onChange={(e) => !prefilledCode && setInputCode(e.target.value.toUpperCase().substring(0, 4))}
+                        placeholder="CODE"
+                        maxLength="4"
+                        disabled={!!prefilledCode}
+                        className={`w-full sm:flex-grow p-3 border-4 rounded-xl text-center text-xl font-bold tracking-widest uppercase focus:ring-indigo-500 focus:border-indigo-500 ${prefilledCode ? 'bg-gray-200 border-green-400 text-green-700 cursor-not-allowed' : 'border-indigo-300'}`}
+                    />
+                    <button
+                        onClick={handleJoinClick}
+                        disabled={!screenName.trim() || inputCode.length !== 4}
+                        className="w-full sm:w-auto sm:min-w-[140px] p-3 bg-indigo-600 text-white font-bold rounded-xl shadow-lg hover:bg-indigo-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed text-base"
+                    >
+                        Join Game
+                    </button>
+                </div>
+                <button
+                    onClick={handleSpectateClick}
+                    disabled={inputCode.length !== 4}
+                    className="w-full p-2 text-indigo-600 font-semibold rounded-xl hover:bg-indigo-50 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed text-sm"
+                >
+                    👀 Just Watch (Spectate)
+                </button>
+                <div className="text-center text-gray-500 py-2 text-sm">
+                    — OR —
+                </div>
+                <button
+                    onClick={handleCreateClick}
+                    disabled={!screenName.trim()}
+                    className="w-full p-4 bg-purple-600 text-white font-bold text-base sm:text-lg rounded-xl shadow-lg hover:bg-purple-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed transform hover:scale-[1.02]"
+                >
+                    Create New Game (Host)
+                </button>
+                <a
+                    href="#/history"
+                    className="block w-full p-2 text-center text-indigo-600 font-semibold rounded-xl hover:bg-indigo-50 transition duration-200 text-sm"
+                >
+                    📜 Past Games You Hosted
+                </a>
+            </div>
+        </div>
+    );
+};
+
+const LobbyScreen = ({ db, storage, gameCode, lobbyState, players, questions, userId, isHost }) => {
+    const [csvText, setCsvText] = useState('');
+    const [generatorTopic, setGeneratorTopic] = useState('');
+    const [generatorMode, setGeneratorMode] = useState('TOPIC'); // TOPIC or TEXT (questions from the host's own material)
+    const [sourceText, setSourceText] = useState('');
+    const [generatorOptions, setGeneratorOptions] = useState(DEFAULT_GENERATOR_OPTIONS);
+    const [generatorProgress, setGeneratorProgress] = useState(null); // { done, total } while generating
+    const [generatorErrors, setGeneratorErrors] = useState([]); // Rejected generated items: [{ number, reason }]
+    const [error, setError] = useState('');
+    const [csvErrors, setCsvErrors] = useState([]); // Rejected CSV rows: [{ line, reason }]
+    const [mediaFiles, setMediaFiles] = useState([]); // Files named in the CSV's Image/Audio columns
+    const [isUploading, setIsUploading] = useState(false);
+    const [loadMode, setLoadMode] = useState('REPLACE'); // REPLACE or APPEND: what new questions do to the loaded ones
+    const [pendingMerge, setPendingMerge] = useState(null); // { incoming, duplicates } awaiting the host's decision
+
+    // Parse as the host types so the upload button shows how many rows are usable
+    const csvPreview = useMemo(() => parseCSV(csvText), [csvText]);
+    const missingMediaFiles = useMemo(() => getMissingMediaFiles(csvPreview.questions, mediaFiles), [csvPreview, mediaFiles]);
+
+    const handleStartGame = useCallback(async () => {
+        console.log('🎮 Start Game clicked!', { isHost, lobbyState, questionCount: questions.length, playerCount: players.length });
+        
+        if (!isHost) {
+            console.error('❌ Not host - cannot start game');
+            return;
+        }
+        
+        if (!lobbyState) {
+            console.error('❌ No lobby state - cannot start game');
+            return;
+        }
+        
+        if (questions.length === 0) {
+            console.error('❌ No questions loaded - cannot start game');
+            return;
+        }
+
+        const gameDocRef = getGameDocPath(db, gameCode);
+        try {
+            console.log('✅ Starting game with', questions.length, 'questions');
+            
+            // Reset player answers for the start
+            const playersColRef = getPlayersCollectionPath(db, gameCode);
+            const playerDocs = await getDocs(playersColRef);
+            
+            const updatePromises = playerDocs.docs.map(docSnap =>
+                updateDoc(docSnap.ref, { lastAnswer: null, score: 0, answerTimestamp: null })
+            );
+            await Promise.all(updatePromises);
+
+            // Start the game with the first question, or the first round's intro card
+            console.log('🚀 Setting game status to PLAYING');
+            const opensWithIntro = getRoundIndex(lobbyState, 0) !== -1;
+            await updateDoc(gameDocRef, {
+                status: 'PLAYING',
+                currentQuestionIndex: 0,
+                roundPhase: opensWithIntro ? 'INTRO' : 'QUESTION',
+                currentQuestion: opensWithIntro ? null : toPublicQuestion(questions[0]),
+                revealedAnswer: null,
+                // Media questions start their timer once every device has preloaded (see HostGameScreen)
+                currentQuestionStartTime: opensWithIntro || hasMedia(questions[0]) ? null : serverTimestamp(),
+                currentQuestionSeconds: getQuestionSettings(lobbyState, 0).secondsPerQuestion,
+                revealedQuestionIndex: -1,
+                scoredQuestionIndex: -1,
+            });
+            
+            console.log('✅ Game started successfully!');
+        } catch (e) {
+            console.error("❌ Error starting game:", e);
+            alert('Error starting game: ' + e.message);
+        }
+    }, [db, gameCode, isHost, lobbyState, questions, players.length]);
+
+    /** Stores the full list in the host-only doc and publishes just the count. */
+    const saveQuestions = useCallback(async (newQuestions) => {
+        await setDoc(getQuestionsDocPath(db, gameCode), { questions: newQuestions });
+        await updateDoc(getGameDocPath(db, gameCode), {
+            questionCount: newQuestions.length,
+            rounds: buildRounds(newQuestions, lobbyState?.rounds),
+            status: 'UPLOAD',
+        });
+    }, [db, gameCode, lobbyState?.rounds]);
+
+    /**
+     * Loads questions from any source (CSV, AI, library) according to the load mode.
+     * When appending near-duplicates of loaded questions, asks the host first: returns 'PENDING'
+     * and calls onSaved once the host has decided and the questions are saved ('SAVED' otherwise).
+     */
+    const addQuestions = useCallback(async (incoming, onSaved) => {
+        if (loadMode === 'REPLACE') {
+            await saveQuestions(withFreshIds(incoming));
+            onSaved?.();
+            return 'SAVED';
+        }
+        const duplicates = findNearDuplicates(incoming, questions);
+        if (duplicates.length > 0) {
+            setPendingMerge({ incoming, duplicates, onSaved });
+            return 'PENDING';
+        }
+        await saveQuestions(mergeQuestions(questions, incoming));
+        onSaved?.();
+        return 'SAVED';
+    }, [loadMode, questions, saveQuestions]);
+
+    const handleResolveMerge = async (skipDuplicates) => {
+        const { incoming, duplicates, onSaved } = pendingMerge;
+        setPendingMerge(null);
+        const toAdd = skipDuplicates ? incoming.filter(q => !duplicates.some(d => d.question === q)) : incoming;
+        try {
+            await saveQuestions(mergeQuestions(questions, toAdd));
+            onSaved?.();
+        } catch (e) {
+            console.error("Error adding questions:", e);
+            setError(`Failed to add questions: ${e.message}`);
+        }
+    };
+
+    const handleCSVUpload = async () => {
+        setError('');
+        const { questions, errors } = csvPreview;
+        setCsvErrors(errors);
+
+        if (questions.length === 0) {
+            setError('Could not parse any valid questions. Ensure format is: "Question","Answer","Opt1","Opt2","Opt3"');
+            return;
+        }
+
+        setIsUploading(true);
+        try {
+            const withMedia = await uploadQuestionMedia(storage, userId, questions, mediaFiles);
+            await addQuestions(withMedia);
+        } catch (e) {
+            console.error("Error saving questions:", e);
+            setError(`Failed to upload questions: ${e.message}`);
+        } finally {
+            setIsUploading(false);
+        }
+    };
+    
+    const handleGenerateQuestions = useCallback(async () => {
+        const isFromText = generatorMode === 'TEXT';
+        if (!db || !gameCode || !isHost || !(isFromText ? sourceText : generatorTopic).trim()) return;
+        setGeneratorProgress({ done: 0, total: generatorOptions.count });
+        setGeneratorErrors([]);
+        setError('');
+
+        try {
+            const { questions: generatedQuestions, errors } = await generateTriviaQuestions({
+                ...generatorOptions,
+                ...(isFromText ? { sourceText: sourceText.trim() } : { topic: generatorTopic.trim() }),
+                existingQuestions: questions,
+                onProgress: (done, total) => setGeneratorProgress({ done, total }),
+            });
+            setGeneratorErrors(errors);
+
+            if (generatedQuestions.length === 0) {
+                throw new Error("No usable questions were generated.");
+            }
+            if (generatedQuestions.length < generatorOptions.count) {
+                setError(`Only able to generate ${generatedQuestions.length} of ${generatorOptions.count} questions.`);
+            }
+
+            await addQuestions(generatedQuestions, () => {
+                setCsvText(''); // Clear CSV box if LLM is used
+                setCsvErrors([]);
+                if (isFromText) setSourceText('');
+                else setGeneratorTopic('');
+            });
+        } catch (e) {
+            console.error("AI Question Generation Failed:", e);
+            setError(`Failed to generate questions. Error: ${e.message}. Please check the topic or try again later.`);
+        } finally {
+            setGeneratorProgress(null);
+        }
+    }, [db, gameCode, isHost, generatorMode, generatorTopic, sourceText, generatorOptions, questions, addQuestions]);
+
+    const handleGeneratorOptionChange = (key, value) => {
+        setGeneratorOptions(options => ({ ...options, [key]: value }));
+    };
+
+    const questionCount = questions.length;
+    const settings = getGameSettings(lobbyState);
+    const playableCount = getPlayableQuestionCount(lobbyState);
+
+    const handleSettingChange = (key, value) => {
+        const updates = { [`settings.${key}`]: value };
+        // Keep the points range consistent: the slowest correct answer can't beat the fastest
+        if (key === 'maxPoints' && value < settings.minPoints) updates['settings.minPoints'] = value;
+        if (key === 'minPoints' && value > settings.maxPoints) updates['settings.maxPoints'] = value;
+
+        updateDoc(getGameDocPath(db, gameCode), updates)
+            .catch(e => console.error("Error saving game settings:", e));
+    };
+
+    const rounds = lobbyState?.rounds || [];
+    const handleRoundChange = (index, changes) => {
+        const updatedRounds = rounds.map((round, i) => (i === index ? { ...round, ...changes } : round));
+        updateDoc(getGameDocPath(db, gameCode), { rounds: updatedRounds })
+            .catch(e => console.error("Error saving round settings:", e));
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-900 text-white p-3 sm:p-4 md:p-8 flex flex-col items-center">
+            <h2 className="text-3xl sm:text-4xl md:text-5xl font-extrabold text-indigo-400 mb-2 tracking-wide text-center px-2">Lobby: {gameCode}</h2>
+            <p className="text-base sm:text-lg md:text-xl text-gray-300 mb-4 sm:mb-6 text-center px-2">Ask players to join with this code.</p>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 sm:gap-6 md:gap-8 w-full max-w-6xl px-2">
+                {/* Host Controls */}
+                <div className={`col-span-1 lg:col-span-1 p-4 sm:p-6 rounded-xl shadow-2xl ${isHost ? 'bg-purple-800' : 'bg-gray-800'}`}>
+                    <h3 className="text-xl sm:text-2xl font-bold mb-3 sm:mb-4 border-b pb-2">
+                        {isHost ? 'Host Controls' : 'Waiting for Host...'}
+                    </h3>
+                    {!isHost && (
+                        <p className="text-sm sm:text-base text-gray-300">
+                            ⏱️ {settings.secondsPerQuestion}s per question · up to {settings.maxPoints} pts
+                            {settings.speedBonus ? ' for fast answers' : ' per correct answer'}
+                            {settings.wrongAnswerPenalty > 0 && ` · wrong answers cost ${settings.wrongAnswerPenalty} pts`}
+                            {rounds.length > 0 && ` · ${rounds.length} rounds: ${rounds.map(round => round.name).join(', ')}`}
+                        </p>
+                    )}
+                    {isHost && (
+                        <div className="space-y-3 sm:space-y-4">
+                            {/* --- GEMINI QUESTION GENERATOR --- */}
+                            <QuestionGeneratorPanel
+                                mode={generatorMode}
+                                onModeChange={setGeneratorMode}
+                                topic={generatorTopic}
+                                onTopicChange={setGeneratorTopic}
+                                sourceText={sourceText}
+                                onSourceTextChange={setSourceText}
+                                options={generatorOptions}
+                                onOptionChange={handleGeneratorOptionChange}
+                                progress={generatorProgress}
+                                errors={generatorErrors}
+                                onGenerate={handleGenerateQuestions}
+                                isAppending={loadMode === 'APPEND'}
+                            />
+                            
+                            {/* --- LOAD MODE --- */}
+                            <div>
+                                <p className="text-xs sm:text-sm text-gray-200 mb-1">New questions (CSV, AI or library)...</p>
+                                <div className="grid grid-cols-2 gap-2">
+                                    {[['REPLACE', 'Replace loaded'], ['APPEND', 'Add to loaded']].map(([mode, label]) => (
+                                        <button
+                                            key={mode}
+                                            onClick={() => setLoadMode(mode)}
+                                            className={`p-2 rounded-lg font-bold text-xs sm:text-sm transition duration-200 ${loadMode === mode ? 'bg-yellow-500 text-gray-900' : 'bg-purple-700 text-gray-200 hover:bg-purple-600'}`}
+                                        >
+                                            {label}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+
+                            {pendingMerge && (
+                                <DuplicateReviewPanel
+                                    incomingCount={pendingMerge.incoming.length}
+                                    duplicates={pendingMerge.duplicates}
+                                    onSkipDuplicates={() => handleResolveMerge(true)}
+                                    onAddAll={() => handleResolveMerge(false)}
+                                    onCancel={() => setPendingMerge(null)}
+                                />
+                            )}
+
+                            {/* --- CSV UPLOAD (Original Feature) --- */}
+                            <div className="pt-3 sm:pt-4 border-t border-purple-600">
+                                <h4 className="text-lg sm:text-xl font-bold mb-2">Manual CSV Upload</h4>
+                                <textarea
+                                    className="w-full h-28 sm:h-32 p-2 sm:p-3 bg-gray-700 border border-gray-600 rounded-lg text-white font-mono text-xs sm:text-sm resize-none"
+                                    placeholder="Paste CSV data here. Format: Question, CorrectAnswer, Option1, Option2... (add a Type column for other question types)"
+                                    value={csvText}
+                                    onChange={(e) => setCsvText(e.target.value)}
+                                />
+                                <label className="block mt-2 text-xs sm:text-sm text-gray-200">
+                                    🖼️ Media files named in the Image/Audio columns:
+                                    <input
+                                        type="file"
+                                        multiple
+                                        accept="image/*,audio/*"
+                                        onChange={(e) => setMediaFiles(Array.from(e.target.files || []))}
+                                        className="mt-1 block w-full text-xs text-gray-300 file:mr-2 file:py-1 file:px-3 file:rounded-lg file:border-0 file:bg-purple-600 file:text-white"
+                                    />
+                                </label>
+                                {missingMediaFiles.length > 0 && (
+                                    <p className="mt-1 text-xs sm:text-sm text-red-300">
+                                        Attach the missing media: {missingMediaFiles.join(', ')}
+                                    </p>
+                                )}
+                                <button
+                                    onClick={handleCSVUpload}
+                                    className="w-full p-2 sm:p-3 bg-green-500 text-white font-bold rounded-xl shadow-md hover:bg-green-600 transition duration-200 disabled:opacity-50 text-sm sm:text-base mt-2"
+                                    disabled={!csvText.trim() || missingMediaFiles.length > 0 || isUploading}
+                                >
+                                    {isUploading ? 'Uploading...' : `${loadMode === 'APPEND' ? 'Add' : 'Upload'} ${csvPreview.questions.length} Questions`}
+                                </button>
+                                {csvErrors.length > 0 && (
+                                    <div className="mt-2 p-2 sm:p-3 bg-red-900 bg-opacity-60 rounded-lg">
+                                        <p className="text-xs sm:text-sm font-bold text-red-200 mb-1">
+                                            {csvErrors.length} row{csvErrors.length === 1 ? '' : 's'} skipped:
+                                        </p>
+                                        <ul className="max-h-32 overflow-y-auto space-y-1 text-xs text-red-100 font-mono">
+                                            {csvErrors.map(({ line, reason }) => (
+                                                <li key={`${line}-${reason}`}>Line {line}: {reason}</li>
+                                            ))}
+                                        </ul>
+                                    </div>
+                                )}
+                            </div>
+                            
+                            {error && <p className="text-red-300 text-xs sm:text-sm italic pt-3 sm:pt-4">{error}</p>}
+
+                            {/* --- QUESTION LIBRARY --- */}
+                            <QuestionLibraryPanel db={db} userId={userId} questions={questions} onLoad={addQuestions} isAppending={loadMode === 'APPEND'} />
+
+                            {/* --- GAME SETTINGS --- */}
+                            <GameSettingsPanel settings={settings} onChange={handleSettingChange} />
+                            {rounds.length > 0 && <RoundsPanel rounds={rounds} settings={settings} onChange={handleRoundChange} />}
+
+                            <div className="pt-3 sm:pt-4 border-t border-purple-600 mt-3 sm:mt-4">
+                                <p className="text-base sm:text-lg font-semibold mb-2 sm:mb-3">
+                                    Questions Loaded: <span className="text-yellow-300">{questionCount}</span>
+                                    {playableCount < questionCount && <span className="text-sm text-gray-300"> (playing the first {playableCount})</span>}
+                                </p>
+                                <button
+                                    onClick={handleStartGame}
+                                    disabled={questionCount === 0 || players.length < 2}
+                                    className="w-full p-3 sm:p-4 bg-red-500 text-white font-extrabold text-base sm:text-lg rounded-xl shadow-xl hover:bg-red-600 transition duration-200 disabled:opacity-50"
+                                >
+                                    Start Game ({playableCount} Qs)
+                                </button>
+                                {players.length < 2 && <p className="text-xs sm:text-sm text-center pt-2 text-yellow-300">Need at least 2 players to start.</p>}
+                                <button
+                                    onClick={() => {
+                                        const inviteUrl = `${window.location.origin}/#/game/${gameCode}`;
+                                        navigator.clipboard.writeText(inviteUrl).then(() => {
+                                            console.log('Invite link copied:', inviteUrl);
+                                        }).catch(e => console.error('Failed to copy invite link', e));
+                                    }}
+                                    className="mt-3 w-full p-3 sm:p-4 bg-yellow-500 text-gray-900 font-bold rounded-xl shadow-md hover:bg-yellow-400 transition duration-200 text-sm sm:text-base"
+                                >
+                                    Copy Invite Link
+                                </button>
+                                <a
+                                    href={`#/display/${gameCode}`}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="mt-3 block w-full p-3 sm:p-4 bg-indigo-500 text-white text-center font-bold rounded-xl shadow-md hover:bg-indigo-600 transition duration-200 text-sm sm:text-base"
+                                >
+                                    📺 Open TV Display
+                                </a>
+                            </div>
+                        </div>
+                    )}
+                </div>
+
+                {/* Player List */}
+                <div className="col-span-1 lg:col-span-2 p-4 sm:p-6 bg-gray-800 rounded-xl shadow-2xl">
+                    <h3 className="text-xl sm:text-2xl font-bold mb-3 sm:mb-4 border-b border-gray-600 pb-2">
+                        Players ({players.length})
+                    </h3>
+                    <div className="max-h-96 overflow-y-auto space-y-2">
+                        {players.map(player => (
+                            <div key={player.id} className="flex items-center justify-between bg-gray-700 p-2 sm:p-3 rounded-lg shadow-md">
+                                <span className="text-base sm:text-lg font-medium text-gray-50 flex-grow truncate pr-2">{player.name}</span>
+                                <div className="flex gap-1 sm:gap-2 flex-shrink-0">
+                                    {player.isHost && <span className="text-xs sm:text-sm font-semibold text-purple-400">HOST</span>}
+                                    {player.id === userId && <span className="text-xs sm:text-sm font-semibold text-green-400">(You)</span>}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    {isHost && players.length === 1 && (
+                        <p className="text-yellow-400 mt-4 text-center text-base sm:text-lg animate-pulse">Waiting for players to join...</p>
+                    )}
+                </div>
+            </div>
+
+            {isHost && <QuestionEditor questions={questions} onSave={saveQuestions} />}
+
+            <p className="mt-6 sm:mt-8 text-xs sm:text-sm text-gray-500 px-2 text-center break-all">Your User ID: {userId}</p>
+        </div>
+    );
+};
+
+/**
+ * What AI questions are about (a topic, or pasted text / an uploaded document to quiz on)
+ * and the generator options (count, difficulty, audience, language).
+ */
+const QuestionGeneratorPanel = ({ mode, onModeChange, topic, onTopicChange, sourceText, onSourceTextChange, options, onOptionChange, progress, errors, onGenerate, isAppending }) => {
+    const isGenerating = progress !== null;
+    const [fileStatus, setFileStatus] = useState(''); // Reading progress or error for the uploaded document
+    const selectClass = 'w-full p-1.5 bg-purple-600 border border-purple-500 rounded-lg text-white text-xs sm:text-sm';
+    const isFromText = mode === 'TEXT';
+    const chunkCount = useMemo(() => (isFromText ? chunkSourceText(sourceText).length : 0), [isFromText, sourceText]);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // Picking the same file again re-reads it
+        if (!file) return;
+        setFileStatus(`Reading ${file.name}...`);
+        try {
+            const text = await readSourceFile(file);
+            if (!text.trim()) throw new Error('no text found (a scanned PDF needs OCR first)');
+            onSourceTextChange(text);
+            setFileStatus('');
+        } catch (error) {
+            console.error("Error reading source document:", error);
+            setFileStatus(`Couldn't read ${file.name}: ${error.message}`);
+        }
+    };
+
+    const handleCountChange = (value) => {
+        const parsed = parseInt(value, 10);
+        onOptionChange('count', Number.isNaN(parsed) ? 1 : Math.min(Math.max(parsed, 1), MAX_GENERATED_QUESTIONS));
+    };
+
+    return (
+        <div className="bg-purple-700 p-3 sm:p-4 rounded-lg shadow-inner">
+            <h4 className="text-lg sm:text-xl font-bold mb-2 text-yellow-300">✨ AI Question Generator</h4>
+            <div className="grid grid-cols-2 gap-2 mb-2">
+                {[['TOPIC', 'From a topic'], ['TEXT', 'From your text']].map(([value, label]) => (
+                    <button
+                        key={value}
+                        onClick={() => onModeChange(value)}
+                        disabled={isGenerating}
+                        className={`p-1.5 rounded-lg font-bold text-xs sm:text-sm transition duration-200 ${mode === value ? 'bg-yellow-500 text-gray-900' : 'bg-purple-600 text-gray-200 hover:bg-purple-500'}`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+            {isFromText ? (
+                <>
+                    <p className="text-xs sm:text-sm text-gray-200 mb-2">Paste notes, docs or an article: questions are answered only from it.</p>
+                    <textarea
+                        className="w-full h-28 p-2 bg-purple-600 border border-purple-500 rounded-lg text-white placeholder-gray-300 text-xs sm:text-sm resize-y"
+                        placeholder="Paste your text here..."
+                        value={sourceText}
+                        onChange={(e) => onSourceTextChange(e.target.value)}
+                        disabled={isGenerating}
+                    />
+                    <label className="block mb-2 text-xs sm:text-sm text-gray-200">
+                        📄 Or upload a .txt, .md or .pdf file:
+                        <input
+                            type="file"
+                            accept=".txt,.md,.markdown,.pdf,text/plain,text/markdown,application/pdf"
+                            onChange={handleFileChange}
+                            disabled={isGenerating}
+                            className="mt-1 block w-full text-xs text-gray-300 file:mr-2 file:py-1 file:px-3 file:rounded-lg file:border-0 file:bg-purple-600 file:text-white"
+                        />
+                    </label>
+                    {fileStatus && <p className="mb-2 text-xs text-yellow-200">{fileStatus}</p>}
+                    {sourceText.trim() && (
+                        <p className="mb-2 text-xs text-gray-300">
+                            {sourceText.length.toLocaleString()} characters in {chunkCount} part{chunkCount === 1 ? '' : 's'}
+                            {sourceText.length > MAX_SOURCE_TEXT_LENGTH && ` (only the first ${MAX_SOURCE_TEXT_LENGTH.toLocaleString()} are used)`}
+                        </p>
+                    )}
+                </>
+            ) : (
+                <>
+                    <p className="text-xs sm:text-sm text-gray-200 mb-2">Create a game instantly by providing a topic.</p>
+                    <input
+                        type="text"
+                        className="w-full p-2 mb-2 bg-purple-600 border border-purple-500 rounded-lg text-white placeholder-gray-300 text-sm sm:text-base"
+                        placeholder="e.g., US History, 90s Cartoons"
+                        maxLength={MAX_TOPIC_LENGTH}
+                        value={topic}
+                        onChange={(e) => onTopicChange(e.target.value)}
+                        disabled={isGenerating}
+                    />
+                </>
+            )}
+            <div className="grid grid-cols-2 gap-2 mb-2 text-xs sm:text-sm text-gray-200">
+                <label>
+                    Questions (max {MAX_GENERATED_QUESTIONS})
+                    <input
+                        type="number"
+                        min={1}
+                        max={MAX_GENERATED_QUESTIONS}
+                        value={options.count}
+                        onChange={(e) => handleCountChange(e.target.value)}
+                        disabled={isGenerating}
+                        className={selectClass}
+                    />
+                </label>
+                <label>
+                    Difficulty
+                    <select value={options.difficulty} onChange={(e) => onOptionChange('difficulty', e.target.value)} disabled={isGenerating} className={selectClass}>
+                        {Object.entries(GENERATOR_DIFFICULTIES).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    Audience
+                    <select value={options.audience} onChange={(e) => onOptionChange('audience', e.target.value)} disabled={isGenerating} className={selectClass}>
+                        {Object.entries(GENERATOR_AUDIENCES).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    Language
+                    <input
+                        type="text"
+                        maxLength={MAX_LANGUAGE_LENGTH}
+                        value={options.language}
+                        onChange={(e) => onOptionChange('language', e.target.value)}
+                        onBlur={(e) => !e.target.value.trim() && onOptionChange('language', DEFAULT_GENERATOR_OPTIONS.language)}
+                        disabled={isGenerating}
+                        className={selectClass}
+                    />
+                </label>
+            </div>
+            <button
+                onClick={onGenerate}
+                className="w-full p-2 bg-yellow-500 text-gray-900 font-bold rounded-lg shadow-md hover:bg-yellow-600 transition duration-200 disabled:opacity-50 text-sm sm:text-base"
+                disabled={!(isFromText ? sourceText : topic).trim() || isGenerating}
+            >
+                {isGenerating
+                    ? `Generating... (${progress.done}/${progress.total})`
+                    : `${isAppending ? 'Add' : 'Generate'} ${options.count} Question${options.count === 1 ? '' : 's'}`}
+            </button>
+            <p className="mt-1 text-xs text-gray-300">Questions already loaded won't be repeated.</p>
+            {errors.length > 0 && (
+                <div className="mt-2 p-2 sm:p-3 bg-red-900 bg-opacity-60 rounded-lg">
+                    <p className="text-xs sm:text-sm font-bold text-red-200 mb-1">
+                        {errors.length} generated question{errors.length === 1 ? '' : 's'} skipped:
+                    </p>
+                    <ul className="max-h-32 overflow-y-auto space-y-1 text-xs text-red-100 font-mono">
+                        {errors.map(({ number, reason }) => (
+                            <li key={number}>#{number}: {reason}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/** Number input that only saves (clamped to its limits) when the host finishes typing. */
+const NumberSetting = ({ label, settingKey, value, onChange, suffix }) => {
+    const [draft, setDraft] = useState(String(value));
+    const { min, max } = GAME_SETTING_LIMITS[settingKey];
+
+    // Follow changes made elsewhere (e.g. minPoints adjusted along with maxPoints)
+    useEffect(() => setDraft(String(value)), [value]);
+
+    const commit = () => {
+        const parsed = parseInt(draft, 10);
+        const clamped = Number.isNaN(parsed) ? value : Math.min(Math.max(parsed, min), max);
+        setDraft(String(clamped));
+        if (clamped !== value) onChange(settingKey, clamped);
+    };
+
     return (
-        <ResultsScreen
-            db={db}
-            gameCode={gameCode}
-            lobbyState={lobbyState}
-            players={players}
-            isHost={isHost}
-            setGameCode={setGameCode}
-            setMode={setMode}
-        />
+        <label className="flex items-center justify-between gap-2 text-xs sm:text-sm text-gray-200">
+            <span>{label}</span>
+            <span className="flex items-center gap-1 flex-shrink-0">
+                <input
+                    type="number"
+                    min={min}
+                    max={max}
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    onBlur={commit}
+                    onKeyDown={(e) => e.key === 'Enter' && commit()}
+                    className="w-20 p-1 bg-gray-700 border border-gray-600 rounded-lg text-white text-right"
+                />
+                {suffix && <span className="w-6 text-gray-400">{suffix}</span>}
+            </span>
+        </label>
     );
 };
 
-// --- Sub-Components ---
+const ToggleSetting = ({ label, settingKey, checked, onChange }) => (
+    <label className="flex items-center justify-between gap-2 text-xs sm:text-sm text-gray-200">
+        <span>{label}</span>
+        <input
+            type="checkbox"
+            checked={checked}
+            onChange={(e) => onChange(settingKey, e.target.checked)}
+            className="w-4 h-4"
+        />
+    </label>
+);
 
-const Home = ({ onJoin, onCreate, screenName, setScreenName, prefilledCode }) => {
-    const [inputCode, setInputCode] = useState(prefilledCode || '');
-    const nameInputRef = useRef(null);
-    const [error, setError] = useState('');
+/** Host-editable game settings, stored on the game doc. */
+const GameSettingsPanel = ({ settings, onChange }) => (
+    <div className="pt-3 sm:pt-4 border-t border-purple-600 space-y-2">
+        <h4 className="text-lg sm:text-xl font-bold mb-2">Game Settings</h4>
+        <NumberSetting label="Time per question" settingKey="secondsPerQuestion" value={settings.secondsPerQuestion} onChange={onChange} suffix="s" />
+        <NumberSetting label="Points for a correct answer" settingKey="maxPoints" value={settings.maxPoints} onChange={onChange} suffix="pts" />
+        <ToggleSetting label="Speed bonus (faster answers score more)" settingKey="speedBonus" checked={settings.speedBonus} onChange={onChange} />
+        {settings.speedBonus && (
+            <NumberSetting label="Points for a correct answer at the buzzer" settingKey="minPoints" value={settings.minPoints} onChange={onChange} suffix="pts" />
+        )}
+        <NumberSetting label="Wrong-answer penalty" settingKey="wrongAnswerPenalty" value={settings.wrongAnswerPenalty} onChange={onChange} suffix="pts" />
+        <NumberSetting label="Questions to play (0 = all)" settingKey="questionLimit" value={settings.questionLimit} onChange={onChange} />
+        <ToggleSetting label="✨ AI fun fact after each answer" settingKey="aiExplanations" checked={settings.aiExplanations} onChange={onChange} />
+        <ToggleSetting label="🔥 Streak bonus (up to x1.5 for answers in a row)" settingKey="streakBonus" checked={settings.streakBonus} onChange={onChange} />
+        <ToggleSetting label="🎁 Power-ups (double points, 50:50, extra time; once each)" settingKey="powerUps" checked={settings.powerUps} onChange={onChange} />
+        <ToggleSetting label="🎲 Final wager round (bet on the last question)" settingKey="wagerRound" checked={settings.wagerRound} onChange={onChange} />
 
-    useEffect(() => {
-        if (nameInputRef.current) {
-            nameInputRef.current.focus();
-        }
-    }, []);
+        <label className="block text-xs sm:text-sm text-gray-200 pt-1 mb-1">Players joining after the start</label>
+        <select
+            value={settings.lateJoin}
+            onChange={(e) => onChange('lateJoin', e.target.value)}
+            className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm sm:text-base"
+        >
+            <option value="OFF">Not allowed (they can still spectate)</option>
+            <option value="ZERO">Join at the next question with 0 points</option>
+            <option value="LOWEST">Join at the next question with the lowest score</option>
+        </select>
+    </div>
+);
 
-    const handleJoinClick = () => {
-        if (!screenName.trim()) {
-            setError("Please enter a screen name.");
-            return;
-        }
-        if (!inputCode.trim() || inputCode.trim().length !== 4) {
-            setError("Please enter a 4-letter game code.");
-            return;
-        }
-        setError('');
-        onJoin(inputCode);
-    };
+/** Timer and point multiplier for each round. Rounds come from the questions' round names. */
+const RoundsPanel = ({ rounds, settings, onChange }) => (
+    <div className="pt-3 sm:pt-4 border-t border-purple-600 space-y-2">
+        <h4 className="text-lg sm:text-xl font-bold mb-2">Rounds</h4>
+        {rounds.map((round, index) => (
+            <div key={`${index}-${round.name}`} className="p-2 bg-purple-900 bg-opacity-60 rounded-lg space-y-2">
+                <p className="font-bold text-sm sm:text-base break-words">
+                    {index + 1}. {round.name}
+                    <span className="ml-1 text-xs font-normal text-gray-300">
+                        · {round.questionCount} Q{round.questionCount === 1 ? '' : 's'} · {QUESTION_TYPE_LABELS[round.questionType] || 'Mixed'}
+                    </span>
+                </p>
+                <NumberSetting
+                    label="Time per question"
+                    settingKey="secondsPerQuestion"
+                    value={round.secondsPerQuestion ?? settings.secondsPerQuestion}
+                    onChange={(key, value) => onChange(index, { [key]: value })}
+                    suffix="s"
+                />
+                <label className="flex items-center justify-between gap-2 text-xs sm:text-sm text-gray-200">
+                    <span>Point multiplier</span>
+                    <select
+                        value={round.multiplier}
+                        onChange={(e) => onChange(index, { multiplier: Number(e.target.value) })}
+                        className="w-20 p-1 bg-gray-700 border border-gray-600 rounded-lg text-white text-right"
+                    >
+                        {ROUND_MULTIPLIERS.map(multiplier => (
+                            <option key={multiplier} value={multiplier}>×{multiplier}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+        ))}
+    </div>
+);
 
-    const handleCreateClick = () => {
-        if (!screenName.trim()) {
-            setError("Please enter a screen name.");
-            return;
-        }
-        setError('');
-        onCreate();
-    };
+// --- Question Editor ---
 
-    return (
-        <div className="w-full max-w-md bg-white p-4 sm:p-6 shadow-2xl rounded-xl animate-fade-in-down mx-2">
-            <h1 className="text-3xl sm:text-4xl font-extrabold text-gray-900 mb-4 sm:mb-6 text-center">Smartish</h1>
-            <p className="text-red-600 text-center mb-4 font-semibold text-sm">{error}</p>
+const MAX_EDITOR_LIST_ITEMS = { [QUESTION_TYPES.MULTIPLE_CHOICE]: 4, [QUESTION_TYPES.ORDER]: 5 }; // After the first cell
 
-            <div className="mb-4 sm:mb-6">
-                <label className="block text-sm font-medium text-gray-700 mb-1">Your Screen Name</label>
+/**
+ * Keeps the option order the host already sees when an edit didn't change the set of options,
+ * so fixing a typo elsewhere doesn't reshuffle them. An ORDER question never starts in its answer order.
+ */
+const keepOptionOrder = (question, previousOptions) => {
+    const options = question.options;
+    const sameItems = Array.isArray(previousOptions) &&
+        previousOptions.length === options.length &&
+        options.every(option => previousOptions.includes(option));
+    const isAnswerOrder = Array.isArray(question.correctAnswer) &&
+        previousOptions?.every((option, index) => option === question.correctAnswer[index]);
+    return sameItems && !isAnswerOrder ? { ...question, options: previousOptions } : question;
+};
+
+const editorInputClass = 'w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 text-sm';
+
+/** Editable list of text cells, e.g. the wrong options or the items to put in order. */
+const EditorList = ({ label, items, maxItems, onChange }) => (
+    <div className="space-y-1">
+        <p className="text-xs text-gray-400">{label}</p>
+        {items.map((item, index) => (
+            <div key={index} className="flex gap-1">
                 <input
-                    ref={nameInputRef}
                     type="text"
-                    value={screenName}
-                    onChange={(e) => setScreenName(e.target.value.substring(0, 15))}
-                    placeholder="Enter your name (Max 15 chars)"
-                    className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150 text-base"
+                    className={editorInputClass}
+                    value={item}
+                    onChange={(e) => onChange(items.map((old, i) => (i === index ? e.target.value : old)))}
                 />
+                <button
+                    onClick={() => onChange(items.filter((_, i) => i !== index))}
+                    className="px-2 bg-gray-600 rounded-lg text-xs font-bold hover:bg-red-600"
+                    aria-label="Remove"
+                >
+                    ✕
+                </button>
             </div>
+        ))}
+        {items.length < maxItems && (
+            <button onClick={() => onChange([...items, ''])} className="text-xs font-bold text-indigo-300 hover:text-indigo-200">
+                + Add
+            </button>
+        )}
+    </div>
+);
 
-            <div className="space-y-4">
-                <div className="flex flex-col sm:flex-row gap-3">
+/** The answer part of one question in the editor, laid out for its type. */
+const QuestionFieldsEditor = ({ fields, onChange }) => {
+    switch (fields.type) {
+        case QUESTION_TYPES.TRUE_FALSE:
+            return (
+                <select className={editorInputClass} value={fields.correctAnswer} onChange={(e) => onChange({ correctAnswer: e.target.value })}>
+                    <option value="">Pick the answer...</option>
+                    <option value="True">True</option>
+                    <option value="False">False</option>
+                </select>
+            );
+        case QUESTION_TYPES.FREE_TEXT:
+            return (
+                <div className="space-y-1">
+                    <input type="text" className={editorInputClass} placeholder="Correct answer" value={fields.correctAnswer} onChange={(e) => onChange({ correctAnswer: e.target.value })} />
                     <input
                         type="text"
-                        value={inputCode}
-                        onChange={(e) => !prefilledCode && setInputCode(e.target.value.toUpperCase().substring(0, 4))}
-                        placeholder="CODE"
-                        maxLength="4"
-                        disabled={!!prefilledCode}
-                        className={`w-full sm:flex-grow p-3 border-4 rounded-xl text-center text-xl font-bold tracking-widest uppercase focus:ring-indigo-500 focus:border-indigo-500 ${prefilledCode ? 'bg-gray-200 border-green-400 text-green-700 cursor-not-allowed' : 'border-indigo-300'}`}
+                        className={editorInputClass}
+                        placeholder="Also accept (separate with |)"
+                        value={fields.acceptedAnswers.join('|')}
+                        onChange={(e) => onChange({ acceptedAnswers: e.target.value.split('|').map(a => a.trimStart()) })}
                     />
-                    <button
-                        onClick={handleJoinClick}
-                        disabled={!screenName.trim() || inputCode.length !== 4}
-                        className="w-full sm:w-auto sm:min-w-[140px] p-3 bg-indigo-600 text-white font-bold rounded-xl shadow-lg hover:bg-indigo-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed text-base"
-                    >
-                        Join Game
-                    </button>
                 </div>
-                <div className="text-center text-gray-500 py-2 text-sm">
-                    — OR —
+            );
+        case QUESTION_TYPES.NUMERIC:
+            return <input type="text" inputMode="decimal" className={editorInputClass} placeholder="Correct number" value={fields.correctAnswer} onChange={(e) => onChange({ correctAnswer: e.target.value })} />;
+        case QUESTION_TYPES.ORDER: {
+            // First cell and the rest edited as one list, in the correct order
+            const items = [fields.correctAnswer, ...fields.options];
+            return (
+                <EditorList
+                    label="Items in the correct order"
+                    items={items}
+                    maxItems={MAX_EDITOR_LIST_ITEMS[QUESTION_TYPES.ORDER] + 1}
+                    onChange={([first = '', ...rest]) => onChange({ correctAnswer: first, options: rest })}
+                />
+            );
+        }
+        default:
+            return (
+                <div className="space-y-1">
+                    <input
+                        type="text"
+                        className={`${editorInputClass} border-green-500`}
+                        placeholder="Correct answer"
+                        value={fields.correctAnswer}
+                        onChange={(e) => onChange({ correctAnswer: e.target.value })}
+                    />
+                    <EditorList
+                        label="Wrong options"
+                        items={fields.options}
+                        maxItems={MAX_EDITOR_LIST_ITEMS[QUESTION_TYPES.MULTIPLE_CHOICE]}
+                        onChange={(options) => onChange({ options })}
+                    />
+                </div>
+            );
+    }
+};
+
+/** AI verification result for one question: status and the model's confidence. */
+const VerificationBadge = ({ verification }) => {
+    const { label, icon, className } = VERIFICATION_STATUSES[verification.status];
+    return (
+        <span className={`px-2 py-0.5 rounded-lg text-xs font-bold whitespace-nowrap ${className}`} title={verification.issue || label}>
+            {icon} {label}{verification.confidence !== null && ` ${Math.round(verification.confidence * 100)}%`}
+        </span>
+    );
+};
+
+/**
+ * Lists the game's questions for editing: inline edits, drag to reorder, add, delete and
+ * re-shuffle. Every question is checked with buildQuestion, the same rules as CSV rows.
+ * Saved questions can also be fact-checked by the AI (verifyQuestions) and flagged ones removed.
+ * Each verdict is saved on its question as `verification`, so it's kept with the game and with
+ * library sets until the question is edited.
+ */
+const QuestionEditor = ({ questions, onSave }) => {
+    const nextKeyRef = useRef(0);
+    const toDraft = useCallback((question) => ({
+        key: nextKeyRef.current++,
+        id: question.id,
+        fields: toQuestionFields(question),
+        displayOptions: question.options,
+        verification: question.verification || null,
+    }), []);
+
+    const [drafts, setDrafts] = useState(() => questions.map(toDraft));
+    const [isDirty, setIsDirty] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [saveError, setSaveError] = useState('');
+    const [dragIndex, setDragIndex] = useState(null);
+    const [verifyProgress, setVerifyProgress] = useState(null); // { done, total } while verifying
+
+    // Follow uploads and library loads, unless the host has unsaved edits
+    useEffect(() => {
+        if (!isDirty) setDrafts(questions.map(toDraft));
+    }, [questions, isDirty, toDraft]);
+
+    const results = useMemo(() => drafts.map(draft => buildQuestion(draft.fields)), [drafts]);
+    const errorCount = results.filter(result => result.error).length;
+
+    const changeDrafts = (updater) => {
+        setDrafts(updater);
+        setIsDirty(true);
+    };
+
+    const updateFields = (index, changes) => changeDrafts(prev => prev.map((draft, i) => (
+        i === index ? { ...draft, fields: { ...draft.fields, ...changes } } : draft
+    )));
+
+    const handleShuffle = (index) => {
+        const { question } = results[index];
+        if (!question) return;
+        // buildQuestion shuffles afresh (and never starts an ORDER question in answer order)
+        const reshuffled = buildQuestion(drafts[index].fields).question;
+        changeDrafts(prev => prev.map((draft, i) => (i === index ? { ...draft, displayOptions: reshuffled.options } : draft)));
+    };
+
+    const handleAdd = () => {
+        const id = getNextQuestionId(drafts.map(draft => draft.id));
+        // New questions join the last question's round
+        const round = drafts[drafts.length - 1]?.fields.round || '';
+        const fields = { type: QUESTION_TYPES.MULTIPLE_CHOICE, question: '', correctAnswer: '', options: ['', '', ''], acceptedAnswers: [], imageUrl: '', audioUrl: '', round, explanation: '', citation: '' };
+        changeDrafts(prev => [...prev, { key: nextKeyRef.current++, id, fields, displayOptions: [], verification: null }]);
+    };
+
+    const handleDelete = (index) => changeDrafts(prev => prev.filter((_, i) => i !== index));
+
+    const handleDrop = (targetIndex) => {
+        if (dragIndex === null || dragIndex === targetIndex) return;
+        changeDrafts(prev => {
+            const reordered = [...prev];
+            const [moved] = reordered.splice(dragIndex, 1);
+            reordered.splice(targetIndex, 0, moved);
+            return reordered;
+        });
+        setDragIndex(null);
+    };
+
+    const handleSave = async () => {
+        if (errorCount > 0) return;
+        setIsSaving(true);
+        setSaveError('');
+        try {
+            await onSave(drafts.map((draft, index) => {
+                const verification = getVerification(index);
+                return {
+                    id: draft.id,
+                    ...keepOptionOrder(results[index].question, draft.displayOptions),
+                    ...(verification && { verification }),
+                };
+            }));
+            setIsDirty(false);
+        } catch (e) {
+            console.error("Error saving edited questions:", e);
+            setSaveError(`Failed to save: ${e.message}`);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleDiscard = () => {
+        setDrafts(questions.map(toDraft));
+        setIsDirty(false);
+    };
+
+    const handleVerify = async () => {
+        setVerifyProgress({ done: 0, total: questions.length });
+        setSaveError('');
+        try {
+            const results = await verifyQuestions(questions, (done, total) => setVerifyProgress({ done, total }));
+            await onSave(questions.map(question => (results[question.id] ? { ...question, verification: results[question.id] } : question)));
+        } catch (e) {
+            console.error("AI Verification Failed:", e);
+            setSaveError(`Failed to verify questions: ${e.message}`);
+        } finally {
+            setVerifyProgress(null);
+        }
+    };
+
+    // A verification only applies while the question reads the same as when it was checked
+    const getVerification = (index) => {
+        const { verification } = drafts[index];
+        const question = results[index].question;
+        return verification && question && verification.fingerprint === getQuestionFingerprint(question) ? verification : null;
+    };
+    const flaggedCount = drafts.filter((_, index) => {
+        const status = getVerification(index)?.status;
+        return status && status !== 'OK';
+    }).length;
+
+    const handleRemoveFlagged = () => {
+        changeDrafts(prev => prev.filter((_, index) => {
+            const status = getVerification(index)?.status;
+            return !status || status === 'OK';
+        }));
+    };
+
+    return (
+        <div className="w-full max-w-6xl mt-4 sm:mt-6 px-2">
+            <div className="p-4 sm:p-6 bg-gray-800 rounded-xl shadow-2xl">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-3 sm:mb-4 border-b border-gray-600 pb-2">
+                    <h3 className="text-xl sm:text-2xl font-bold">✏️ Questions ({drafts.length})</h3>
+                    <div className="flex flex-wrap gap-2">
+                        <button
+                            onClick={handleVerify}
+                            disabled={isDirty || verifyProgress !== null || questions.length === 0}
+                            title={isDirty ? 'Save your changes first' : 'Check answers and options with AI'}
+                            className="px-3 py-2 bg-indigo-600 text-white text-sm font-bold rounded-lg hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                            {verifyProgress ? `Verifying... (${verifyProgress.done}/${verifyProgress.total})` : '🔍 Verify with AI'}
+                        </button>
+                        {flaggedCount > 0 && (
+                            <button onClick={handleRemoveFlagged} className="px-3 py-2 bg-red-600 text-white text-sm font-bold rounded-lg hover:bg-red-700">
+                                Remove {flaggedCount} Flagged
+                            </button>
+                        )}
+                        {isDirty && (
+                            <button onClick={handleDiscard} className="px-3 py-2 bg-gray-600 text-white text-sm font-bold rounded-lg hover:bg-gray-500">
+                                Discard
+                            </button>
+                        )}
+                        <button
+                            onClick={handleSave}
+                            disabled={!isDirty || errorCount > 0 || isSaving}
+                            className="px-3 py-2 bg-green-500 text-white text-sm font-bold rounded-lg hover:bg-green-600 disabled:opacity-50"
+                        >
+                            {isSaving ? 'Saving...' : isDirty ? 'Save Changes' : 'Saved'}
+                        </button>
+                    </div>
                 </div>
+                {errorCount > 0 && (
+                    <p className="mb-3 text-sm text-red-300">Fix {errorCount} question{errorCount === 1 ? '' : 's'} before saving.</p>
+                )}
+                {saveError && <p className="mb-3 text-sm text-red-300">{saveError}</p>}
+
+                <ol className="space-y-3">
+                    {drafts.map((draft, index) => {
+                        const { error } = results[index];
+                        const canShuffle = !error && (draft.fields.type === QUESTION_TYPES.MULTIPLE_CHOICE || draft.fields.type === QUESTION_TYPES.ORDER);
+                        const verification = getVerification(index);
+                        return (
+                            <li
+                                key={draft.key}
+                                onDragOver={(e) => e.preventDefault()}
+                                onDrop={() => handleDrop(index)}
+                                className={`p-3 rounded-lg bg-gray-700 border-2 ${error ? 'border-red-500' : 'border-transparent'} ${dragIndex === index ? 'opacity-50' : ''}`}
+                            >
+                                <div className="flex items-center gap-2 mb-2">
+                                    <span
+                                        draggable
+                                        onDragStart={() => setDragIndex(index)}
+                                        onDragEnd={() => setDragIndex(null)}
+                                        className="cursor-grab select-none text-gray-400 text-lg px-1"
+                                        title="Drag to reorder"
+                                    >
+                                        ⠿
+                                    </span>
+                                    <span className="font-black text-gray-400">{index + 1}.</span>
+                                    {verification && <VerificationBadge verification={verification} />}
+                                    <select
+                                        className="p-1 bg-gray-600 border border-gray-500 rounded-lg text-white text-xs sm:text-sm"
+                                        value={draft.fields.type}
+                                        onChange={(e) => updateFields(index, { type: e.target.value })}
+                                    >
+                                        {Object.entries(QUESTION_TYPE_LABELS).map(([type, label]) => (
+                                            <option key={type} value={type}>{label}</option>
+                                        ))}
+                                    </select>
+                                    <input
+                                        type="text"
+                                        maxLength={40}
+                                        className="flex-grow min-w-0 p-1 bg-gray-600 border border-gray-500 rounded-lg text-white placeholder-gray-400 text-xs sm:text-sm"
+                                        placeholder="Round (optional)"
+                                        value={draft.fields.round}
+                                        onChange={(e) => updateFields(index, { round: e.target.value })}
+                                    />
+                                    {canShuffle && (
+                                        <button onClick={() => handleShuffle(index)} className="px-2 py-1 bg-indigo-600 rounded-lg text-xs font-bold hover:bg-indigo-700" title="Re-shuffle options">
+                                            🔀
+                                        </button>
+                                    )}
+                                    <button onClick={() => handleDelete(index)} className="px-2 py-1 bg-gray-600 rounded-lg text-xs font-bold hover:bg-red-600" title="Delete question">
+                                        🗑️
+                                    </button>
+                                </div>
+                                <input
+                                    type="text"
+                                    className={`${editorInputClass} mb-2 font-semibold`}
+                                    placeholder="Question"
+                                    value={draft.fields.question}
+                                    onChange={(e) => updateFields(index, { question: e.target.value })}
+                                />
+                                <QuestionFieldsEditor fields={draft.fields} onChange={(changes) => updateFields(index, changes)} />
+                                <input
+                                    type="text"
+                                    className={`${editorInputClass} mt-2`}
+                                    placeholder="Explanation shown after the reveal (optional, replaces the AI fun fact)"
+                                    value={draft.fields.explanation}
+                                    onChange={(e) => updateFields(index, { explanation: e.target.value })}
+                                />
+                                {canShuffle && (
+                                    <p className="mt-2 text-xs text-gray-400">
+                                        Shown as: {keepOptionOrder(results[index].question, draft.displayOptions).options.join(' · ')}
+                                    </p>
+                                )}
+                                {verification?.issue && (
+                                    <p className="mt-2 text-xs sm:text-sm text-yellow-300">🔍 {verification.issue}</p>
+                                )}
+                                {error && <p className="mt-2 text-xs sm:text-sm text-red-300">{error}</p>}
+                            </li>
+                        );
+                    })}
+                </ol>
+
                 <button
-                    onClick={handleCreateClick}
-                    disabled={!screenName.trim()}
-                    className="w-full p-4 bg-purple-600 text-white font-bold text-base sm:text-lg rounded-xl shadow-lg hover:bg-purple-700 transition duration-200 disabled:opacity-50 disabled:cursor-not-allowed transform hover:scale-[1.02]"
+                    onClick={handleAdd}
+                    className="mt-3 w-full p-2 sm:p-3 bg-gray-700 text-indigo-300 font-bold rounded-xl border-2 border-dashed border-gray-600 hover:bg-gray-600 text-sm sm:text-base"
                 >
-                    Create New Game (Host)
+                    + Add Question
                 </button>
             </div>
         </div>
     );
 };
 
-const LobbyScreen = ({ db, gameCode, lobbyState, players, userId, isHost }) => {
-    const [csvText, setCsvText] = useState('');
-    const [generatorTopic, setGeneratorTopic] = useState('');
-    const [isGenerating, setIsGenerating] = useState(false);
-    const [error, setError] = useState('');
+/** Asks the host what to do with appended questions that look like ones already loaded. */
+const DuplicateReviewPanel = ({ incomingCount, duplicates, onSkipDuplicates, onAddAll, onCancel }) => (
+    <div className="p-3 bg-yellow-900 bg-opacity-70 border border-yellow-500 rounded-lg space-y-2">
+        <p className="text-sm font-bold text-yellow-200">
+            {duplicates.length} of {incomingCount} new question{incomingCount === 1 ? '' : 's'} look{duplicates.length === 1 ? 's' : ''} like {duplicates.length === 1 ? 'one' : 'ones'} you already have:
+        </p>
+        <ul className="max-h-40 overflow-y-auto space-y-1 text-xs text-yellow-100">
+            {duplicates.map(({ question, match }, index) => (
+                <li key={index}>
+                    "{question.question}" <span className="text-yellow-300">≈</span> "{match.question}"
+                </li>
+            ))}
+        </ul>
+        <div className="grid grid-cols-3 gap-2">
+            <button onClick={onSkipDuplicates} className="p-2 bg-green-500 text-white font-bold rounded-lg hover:bg-green-600 text-xs sm:text-sm">
+                Skip Them
+            </button>
+            <button onClick={onAddAll} className="p-2 bg-yellow-500 text-gray-900 font-bold rounded-lg hover:bg-yellow-600 text-xs sm:text-sm">
+                Add Anyway
+            </button>
+            <button onClick={onCancel} className="p-2 bg-gray-600 text-white font-bold rounded-lg hover:bg-gray-500 text-xs sm:text-sm">
+                Cancel
+            </button>
+        </div>
+    </div>
+);
 
-    const handleStartGame = useCallback(async () => {
-        console.log('🎮 Start Game clicked!', { isHost, lobbyState, questionCount: lobbyState?.questions?.length, playerCount: players.length });
-        
-        if (!isHost) {
-            console.error('❌ Not host - cannot start game');
-            return;
+// --- Question Library ---
+
+/** Splits "History, music ,history" into ['history', 'music']. */
+const parseTags = (text) => [...new Set(text.split(',').map(t => t.trim().toLowerCase()).filter(t => t))].slice(0, 10);
+
+/** Saved question sets: load one into the game, or save the game's questions as a set. */
+const QuestionLibraryPanel = ({ db, userId, questions, onLoad, isAppending }) => {
+    const questionSets = useQuestionLibrary(db, userId);
+    const [filter, setFilter] = useState('');
+    const [title, setTitle] = useState('');
+    const [tagsText, setTagsText] = useState('');
+    const [loadedSet, setLoadedSet] = useState(null); // { id, title } of the set loaded into this game
+    const [isBusy, setIsBusy] = useState(false);
+    const [message, setMessage] = useState('');
+
+    const visibleSets = useMemo(() => {
+        const needle = filter.trim().toLowerCase();
+        if (!needle) return questionSets;
+        return questionSets.filter(set =>
+            set.title.toLowerCase().includes(needle) || (set.tags || []).some(tag => tag.includes(needle))
+        );
+    }, [questionSets, filter]);
+
+    const runAction = async (action, successMessage) => {
+        setIsBusy(true);
+        setMessage('');
+        try {
+            await action();
+            if (successMessage) setMessage(successMessage);
+        } catch (e) {
+            console.error("Question library error:", e);
+            setMessage(`Something went wrong: ${e.message}`);
+        } finally {
+            setIsBusy(false);
         }
-        
-        if (!lobbyState) {
-            console.error('❌ No lobby state - cannot start game');
-            return;
+    };
+
+    const handleLoad = (set) => runAction(async () => {
+        const handleLoaded = () => {
+            setMessage(isAppending ? `Added "${set.title}".` : `Loaded "${set.title}".`);
+            // Appended questions are a new mix, so "Update" would overwrite the set with more than it had
+            if (isAppending) return;
+            setLoadedSet({ id: set.id, title: set.title });
+            setTitle(set.title);
+            setTagsText((set.tags || []).join(', '));
+        };
+        // Near-duplicates wait for the host's decision in the duplicate review above
+        if (await onLoad(set.questions, handleLoaded) === 'PENDING') {
+            setMessage(`Some questions in "${set.title}" look like ones already loaded. Choose what to add above.`);
         }
-        
-        if (lobbyState.questions.length === 0) {
-            console.error('❌ No questions loaded - cannot start game');
-            return;
+    });
+
+    const handleSave = (asNewSet) => runAction(async () => {
+        const questionSet = {
+            title: title.trim(),
+            tags: parseTags(tagsText),
+            questionCount: questions.length,
+            questions,
+            updatedAt: serverTimestamp(),
+        };
+        if (asNewSet) {
+            const setRef = await addDoc(getQuestionSetsCollectionPath(db, userId), { ...questionSet, createdAt: serverTimestamp() });
+            setLoadedSet({ id: setRef.id, title: questionSet.title });
+        } else {
+            await updateDoc(getQuestionSetDocPath(db, userId, loadedSet.id), questionSet);
         }
+    }, `Saved "${title.trim()}".`);
 
-        const gameDocRef = getGameDocPath(db, gameCode);
-        try {
-            console.log('✅ Starting game with', lobbyState.questions.length, 'questions');
-            
-            // Reset player answers for the start
-            const playersColRef = getPlayersCollectionPath(db, gameCode);
-            const playerDocs = await getDocs(playersColRef);
-            
-            const updatePromises = playerDocs.docs.map(docSnap =>
-                updateDoc(docSnap.ref, { lastAnswer: null, score: 0, answerTimestamp: null })
-            );
-            await Promise.all(updatePromises);
+    const handleDelete = (set) => {
+        if (!window.confirm(`Delete "${set.title}" from your library?`)) return;
+        runAction(async () => {
+            await deleteDoc(getQuestionSetDocPath(db, userId, set.id));
+            if (loadedSet?.id === set.id) setLoadedSet(null);
+        }, `Deleted "${set.title}".`);
+    };
 
-            // Start the game with the first question
-            console.log('🚀 Setting game status to PLAYING');
-            await updateDoc(gameDocRef, {
-                status: 'PLAYING',
-                currentQuestionIndex: 0,
-                currentQuestionStartTime: Date.now()
-            });
-            
-            console.log('✅ Game started successfully!');
-        } catch (e) {
-            console.error("❌ Error starting game:", e);
-            alert('Error starting game: ' + e.message);
-        }
-    }, [db, gameCode, isHost, lobbyState, players.length]);
+    const canSave = questions.length > 0 && title.trim().length > 0 && !isBusy;
+
+    return (
+        <div className="pt-3 sm:pt-4 border-t border-purple-600 space-y-2">
+            <h4 className="text-lg sm:text-xl font-bold mb-2">📚 Question Library</h4>
+
+            {questionSets.length > 3 && (
+                <input
+                    type="text"
+                    className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 text-sm"
+                    placeholder="Filter by title or tag"
+                    value={filter}
+                    onChange={(e) => setFilter(e.target.value)}
+                />
+            )}
+            <div className="max-h-48 overflow-y-auto space-y-2">
+                {visibleSets.map(set => (
+                    <div key={set.id} className="p-2 bg-purple-900 bg-opacity-60 rounded-lg">
+                        <div className="flex items-start justify-between gap-2">
+                            <div className="min-w-0">
+                                <p className="font-bold text-sm sm:text-base truncate">{set.title}</p>
+                                <p className="text-xs text-gray-300">
+                                    {set.questionCount} question{set.questionCount === 1 ? '' : 's'}
+                                    {set.tags?.length > 0 && ` · ${set.tags.map(tag => `#${tag}`).join(' ')}`}
+                                </p>
+                            </div>
+                            <div className="flex gap-1 flex-shrink-0">
+                                <button
+                                    onClick={() => handleLoad(set)}
+                                    disabled={isBusy}
+                                    className="px-2 py-1 bg-green-500 text-white text-xs font-bold rounded-lg hover:bg-green-600 disabled:opacity-50"
+                                >
+                                    Load
+                                </button>
+                                <button
+                                    onClick={() => handleDelete(set)}
+                                    disabled={isBusy}
+                                    className="px-2 py-1 bg-gray-600 text-white text-xs font-bold rounded-lg hover:bg-red-600 disabled:opacity-50"
+                                    aria-label={`Delete ${set.title}`}
+                                >
+                                    ✕
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                ))}
+                {questionSets.length === 0 && <p className="text-xs sm:text-sm text-gray-300 italic">No saved question sets yet.</p>}
+            </div>
+
+            <div className="pt-2 space-y-2">
+                <input
+                    type="text"
+                    maxLength={100}
+                    className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 text-sm"
+                    placeholder="Set title, e.g. Week 12 Music Round"
+                    value={title}
+                    onChange={(e) => setTitle(e.target.value)}
+                />
+                <input
+                    type="text"
+                    className="w-full p-2 bg-gray-700 border border-gray-600 rounded-lg text-white placeholder-gray-400 text-sm"
+                    placeholder="Tags, comma separated"
+                    value={tagsText}
+                    onChange={(e) => setTagsText(e.target.value)}
+                />
+                <div className="flex gap-2">
+                    <button
+                        onClick={() => handleSave(true)}
+                        disabled={!canSave}
+                        className="flex-1 p-2 bg-indigo-500 text-white font-bold rounded-lg shadow-md hover:bg-indigo-600 transition duration-200 disabled:opacity-50 text-xs sm:text-sm"
+                    >
+                        Save {questions.length} Qs as New Set
+                    </button>
+                    {loadedSet && (
+                        <button
+                            onClick={() => handleSave(false)}
+                            disabled={!canSave}
+                            className="flex-1 p-2 bg-indigo-700 text-white font-bold rounded-lg shadow-md hover:bg-indigo-800 transition duration-200 disabled:opacity-50 text-xs sm:text-sm truncate"
+                        >
+                            Update "{loadedSet.title}"
+                        </button>
+                    )}
+                </div>
+            </div>
+            {message && <p className="text-xs sm:text-sm text-yellow-300">{message}</p>}
+        </div>
+    );
+};
 
-    const handleCSVUpload = () => {
-        setError('');
-        const questions = parseCSV(csvText);
+/** Seconds into the clip that every screen should be at right now. */
+const getPlaybackOffset = (startMs) => Math.max(0, (Date.now() - startMs) / 1000);
 
-        if (questions.length === 0) {
-            setError('Could not parse any valid questions. Ensure format is: "Question","Answer","Opt1","Opt2","Opt3"');
-            return;
-        }
+/**
+ * A question's image and/or audio clip. Hidden until the timer starts, so no device gets an
+ * early look; audio plays from the question's start time, so every screen stays in sync.
+ */
+const QuestionMedia = ({ question, startTime, size = 'compact' }) => {
+    const audioRef = useRef(null);
+    const [needsTap, setNeedsTap] = useState(false);
+    const startMs = toMillis(startTime);
+    const audioUrl = question?.audioUrl;
+    const isLarge = size === 'large';
 
-        const gameDocRef = getGameDocPath(db, gameCode);
-        updateDoc(gameDocRef, {
-            questions: questions,
-            status: 'UPLOAD',
-        }).catch(e => console.error("Error saving questions:", e));
-    };
-    
-    const handleGenerateQuestions = useCallback(async () => {
-        if (!db || !gameCode || !isHost || !generatorTopic.trim()) return;
-        setIsGenerating(true);
-        setError('');
+    const playAudio = useCallback(() => {
+        const audio = audioRef.current;
+        if (!audio || !startMs) return;
+        const offset = getPlaybackOffset(startMs);
+        if (Number.isFinite(audio.duration) && offset >= audio.duration) return; // Clip already over
+        audio.currentTime = offset;
+        // Browsers block autoplay on pages the user hasn't tapped yet
+        audio.play().then(() => setNeedsTap(false)).catch(() => setNeedsTap(true));
+    }, [startMs]);
 
-        const systemPrompt = "You are a trivia question generator. Your task is to create exactly 5 multiple-choice trivia questions based on the user's requested topic. Each question MUST have one correct answer and exactly three plausible distractors. The response MUST be a JSON array conforming to the provided schema.";
-        const userQuery = `Generate 5 trivia questions about the topic: "${generatorTopic.trim()}".`;
+    useEffect(() => {
+        const audio = audioRef.current;
+        if (!audio || !startMs) return;
 
-        const payload = {
-            contents: [{ parts: [{ text: userQuery }] }],
-            tools: [{ "google_search": {} }], // Use search grounding for accuracy
-            systemInstruction: { parts: [{ text: systemPrompt }] },
-            generationConfig: {
-                responseMimeType: "application/json",
-                responseSchema: QUESTION_SCHEMA
-            }
+        if (audio.readyState >= 1) playAudio(); // HAVE_METADATA: seeking works
+        else audio.addEventListener('loadedmetadata', playAudio, { once: true });
+
+        return () => {
+            audio.removeEventListener('loadedmetadata', playAudio);
+            audio.pause();
         };
+    }, [startMs, audioUrl, playAudio]);
 
-        try {
-            const jsonString = await callGeminiApi(payload);
-            const generatedQuestions = JSON.parse(jsonString);
+    if (!hasMedia(question)) return null;
 
-            if (!Array.isArray(generatedQuestions) || generatedQuestions.length === 0) {
-                throw new Error("Received empty or invalid question array from LLM.");
-            }
+    if (!startMs) {
+        return (
+            <div className={`mb-4 sm:mb-6 flex items-center justify-center rounded-xl bg-gray-700 text-gray-300 font-semibold animate-pulse ${isLarge ? 'h-64 text-3xl' : 'h-32 text-base'}`}>
+                Loading media...
+            </div>
+        );
+    }
 
-            const formattedQuestions = generatedQuestions.map((q, index) => {
-                const allOptions = [q.correctAnswer, q.distractor1, q.distractor2, q.distractor3].filter(o => o);
-                if (allOptions.length !== 4) {
-                     console.warn("Question did not yield 4 options:", q);
-                     return null;
-                }
-                
-                // Re-shuffle for in-game display
-                const options = shuffleArray(allOptions); 
+    return (
+        <div className="mb-4 sm:mb-6 flex flex-col items-center gap-3">
+            {question.imageUrl && (
+                <img
+                    src={question.imageUrl}
+                    alt="Question"
+                    className={`max-w-full rounded-xl object-contain shadow-lg ${isLarge ? 'max-h-[45vh]' : 'max-h-64'}`}
+                />
+            )}
+            {audioUrl && <audio ref={audioRef} src={audioUrl} preload="auto" controls className="w-full max-w-md" />}
+            {needsTap && (
+                <button
+                    onClick={playAudio}
+                    className="px-4 py-2 bg-yellow-500 text-gray-900 font-bold rounded-xl shadow-md hover:bg-yellow-600 transition duration-200"
+                >
+                    🔊 Tap to play the audio
+                </button>
+            )}
+        </div>
+    );
+};
 
-                return {
-                    id: `llm-${index}`,
-                    question: q.question,
-                    correctAnswer: q.correctAnswer,
-                    options,
-                };
-            }).filter(q => q !== null);
+/** Class names for QuestionAnswers on the phone/laptop screens and on the TV display. */
+const ANSWER_STYLES = {
+    compact: {
+        grid: 'grid grid-cols-1 md:grid-cols-2 gap-3 sm:gap-4',
+        list: 'space-y-2 sm:space-y-3',
+        item: 'p-3 sm:p-4 rounded-xl font-bold text-sm sm:text-base md:text-lg transition-all duration-300 break-words',
+        idle: 'bg-gray-700',
+        correct: 'bg-green-600 shadow-xl',
+        wrong: 'bg-red-800 opacity-50',
+    },
+    large: {
+        grid: 'grid grid-cols-1 md:grid-cols-2 gap-5',
+        list: 'space-y-4',
+        item: 'p-6 rounded-2xl font-bold text-2xl md:text-3xl break-words transition-all duration-700',
+        idle: 'bg-indigo-700',
+        correct: 'bg-green-600 shadow-2xl ring-8 ring-green-300 scale-105 animate-pop-in',
+        wrong: 'bg-red-900 opacity-40',
+    },
+};
 
-            if (formattedQuestions.length < 5) {
-                 setError(`Only able to generate ${formattedQuestions.length} valid questions.`);
-            }
+/** What players are asked to do for the question types without options to show. */
+const TYPED_ANSWER_HINTS = {
+    [QUESTION_TYPES.FREE_TEXT]: '⌨️ Players type their answer',
+    [QUESTION_TYPES.NUMERIC]: '🔢 Closest number wins',
+};
 
-            const gameDocRef = getGameDocPath(db, gameCode);
-            await updateDoc(gameDocRef, {
-                questions: formattedQuestions,
-                status: 'UPLOAD',
-            });
-            setCsvText(''); // Clear CSV box if LLM is used
-            setGeneratorTopic('');
-            
-        } catch (e) {
-            console.error("Gemini Question Generation Failed:", e);
-            setError(`Failed to generate questions. Error: ${e.message}. Please check the topic or try again later.`);
-        } finally {
-            setIsGenerating(false);
-        }
-    }, [db, gameCode, isHost, generatorTopic]);
+/**
+ * The answer area of a question card: the options (or items to order, or a typed-answer hint),
+ * with the correct answer highlighted once revealed.
+ */
+const QuestionAnswers = ({ question, correctAnswer, showAnswers, size = 'compact' }) => {
+    const styles = ANSWER_STYLES[size];
+    const type = getQuestionType(question);
+
+    if (isChoiceQuestion(question)) {
+        return (
+            <div className={styles.grid}>
+                {question.options.map((option, index) => (
+                    <div
+                        key={index}
+                        className={`${styles.item} ${
+                            showAnswers && option === correctAnswer ? styles.correct : showAnswers ? styles.wrong : styles.idle
+                        }`}
+                    >
+                        {option}
+                    </div>
+                ))}
+            </div>
+        );
+    }
 
-    const questionCount = lobbyState?.questions?.length || 0;
+    if (type === QUESTION_TYPES.ORDER) {
+        // Shuffled items while playing, the correct order once revealed
+        const items = showAnswers && Array.isArray(correctAnswer) ? correctAnswer : question.options;
+        return (
+            <ol className={styles.list}>
+                {items.map((item, index) => (
+                    <li key={item} className={`${styles.item} ${showAnswers ? styles.correct : styles.idle}`}>
+                        {showAnswers && <span className="mr-3 opacity-75">{index + 1}.</span>}
+                        {item}
+                    </li>
+                ))}
+            </ol>
+        );
+    }
 
     return (
-        <div className="min-h-screen bg-gray-900 text-white p-3 sm:p-4 md:p-8 flex flex-col items-center">
-            <h2 className="text-3xl sm:text-4xl md:text-5xl font-extrabold text-indigo-400 mb-2 tracking-wide text-center px-2">Lobby: {gameCode}</h2>
-            <p className="text-base sm:text-lg md:text-xl text-gray-300 mb-4 sm:mb-6 text-center px-2">Ask players to join with this code.</p>
+        <div className={`${styles.item} text-center ${showAnswers ? styles.correct : styles.idle}`}>
+            {showAnswers ? formatAnswer(correctAnswer) : TYPED_ANSWER_HINTS[type]}
+        </div>
+    );
+};
 
-            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 sm:gap-6 md:gap-8 w-full max-w-6xl px-2">
-                {/* Host Controls */}
-                <div className={`col-span-1 lg:col-span-1 p-4 sm:p-6 rounded-xl shadow-2xl ${isHost ? 'bg-purple-800' : 'bg-gray-800'}`}>
-                    <h3 className="text-xl sm:text-2xl font-bold mb-3 sm:mb-4 border-b pb-2">
-                        {isHost ? 'Host Controls' : 'Waiting for Host...'}
-                    </h3>
-                    {isHost && (
-                        <div className="space-y-3 sm:space-y-4">
-                            {/* --- GEMINI QUESTION GENERATOR --- */}
-                            {/* <div className="bg-purple-700 p-3 sm:p-4 rounded-lg shadow-inner">
-                                <h4 className="text-lg sm:text-xl font-bold mb-2 text-yellow-300">✨ AI Question Generator</h4>
-                                <p className="text-xs sm:text-sm text-gray-200 mb-2">Create a game instantly by providing a topic.</p>
-                                <input
-                                    type="text"
-                                    className="w-full p-2 mb-2 bg-purple-600 border border-purple-500 rounded-lg text-white placeholder-gray-300 text-sm sm:text-base"
-                                    placeholder="e.g., US History, 90s Cartoons"
-                                    value={generatorTopic}
-                                    onChange={(e) => setGeneratorTopic(e.target.value)}
-                                    disabled={isGenerating}
-                                />
-                                <button
-                                    onClick={handleGenerateQuestions}
-                                    className="w-full p-2 bg-yellow-500 text-gray-900 font-bold rounded-lg shadow-md hover:bg-yellow-600 transition duration-200 disabled:opacity-50 text-sm sm:text-base"
-                                    disabled={!generatorTopic.trim() || isGenerating}
-                                >
-                                    {isGenerating ? 'Generating 5 Questions...' : 'Generate 5 Questions'}
-                                </button>
-                            </div> */}
-                            
-                            {/* --- CSV UPLOAD (Original Feature) --- */}
-                            <div className="pt-3 sm:pt-4 border-t border-purple-600">
-                                <h4 className="text-lg sm:text-xl font-bold mb-2">Manual CSV Upload</h4>
-                                <textarea
-                                    className="w-full h-28 sm:h-32 p-2 sm:p-3 bg-gray-700 border border-gray-600 rounded-lg text-white font-mono text-xs sm:text-sm resize-none"
-                                    placeholder="Paste CSV data here. Format: Question, CorrectAnswer, Option1, Option2..."
-                                    value={csvText}
-                                    onChange={(e) => setCsvText(e.target.value)}
-                                />
-                                <button
-                                    onClick={handleCSVUpload}
-                                    className="w-full p-2 sm:p-3 bg-green-500 text-white font-bold rounded-xl shadow-md hover:bg-green-600 transition duration-200 disabled:opacity-50 text-sm sm:text-base mt-2"
-                                    disabled={!csvText.trim()}
-                                >
-                                    Upload {csvText.split('\n').filter(l => l.trim()).length} Questions
-                                </button>
-                            </div>
-                            
-                            {error && <p className="text-red-300 text-xs sm:text-sm italic pt-3 sm:pt-4">{error}</p>}
+/**
+ * How the players answered the current question, as [{ label, count, share, isCorrect }].
+ * Choice questions count each option; the other types group the players into right and wrong
+ * once the scoring function has marked them, since matching typed answers takes its rules.
+ */
+const getAnswerDistribution = (lobbyState, players) => {
+    const questionIndex = lobbyState.currentQuestionIndex;
+    const question = lobbyState.currentQuestion;
+    const activePlayers = players.filter(p => isPlayingQuestion(p, questionIndex));
+    if (!question || activePlayers.length === 0) return [];
 
-                            <div className="pt-3 sm:pt-4 border-t border-purple-600 mt-3 sm:mt-4">
-                                <p className="text-base sm:text-lg font-semibold mb-2 sm:mb-3">
-                                    Questions Loaded: <span className="text-yellow-300">{questionCount}</span>
-                                </p>
-                                <button
-                                    onClick={handleStartGame}
-                                    disabled={questionCount === 0 || players.length < 2}
-                                    className="w-full p-3 sm:p-4 bg-red-500 text-white font-extrabold text-base sm:text-lg rounded-xl shadow-xl hover:bg-red-600 transition duration-200 disabled:opacity-50"
-                                >
-                                    Start Game ({questionCount} Qs)
-                                </button>
-                                {players.length < 2 && <p className="text-xs sm:text-sm text-center pt-2 text-yellow-300">Need at least 2 players to start.</p>}
-                                <button
-                                    onClick={() => {
-                                        const inviteUrl = `${window.location.origin}/#/game/${gameCode}`;
-                                        navigator.clipboard.writeText(inviteUrl).then(() => {
-                                            console.log('Invite link copied:', inviteUrl);
-                                        }).catch(e => console.error('Failed to copy invite link', e));
-                                    }}
-                                    className="mt-3 w-full p-3 sm:p-4 bg-yellow-500 text-gray-900 font-bold rounded-xl shadow-md hover:bg-yellow-400 transition duration-200 text-sm sm:text-base"
-                                >
-                                    Copy Invite Link
-                                </button>
-                            </div>
-                        </div>
-                    )}
-                </div>
+    let buckets;
+    if (isChoiceQuestion(question)) {
+        buckets = question.options.map(option => ({
+            label: option,
+            count: activePlayers.filter(p => p.lastAnswer === option).length,
+            isCorrect: option === lobbyState.revealedAnswer,
+        }));
+    } else {
+        if (lobbyState.scoredQuestionIndex !== questionIndex) return [];
+        const isCorrect = (p) => p.lastResult?.questionIndex === questionIndex && p.lastResult.correct;
+        buckets = [
+            { label: 'Correct', count: activePlayers.filter(isCorrect).length, isCorrect: true },
+            { label: 'Wrong', count: activePlayers.filter(p => p.lastAnswer !== null && !isCorrect(p)).length, isCorrect: false },
+        ];
+    }
 
-                {/* Player List */}
-                <div className="col-span-1 lg:col-span-2 p-4 sm:p-6 bg-gray-800 rounded-xl shadow-2xl">
-                    <h3 className="text-xl sm:text-2xl font-bold mb-3 sm:mb-4 border-b border-gray-600 pb-2">
-                        Players ({players.length})
-                    </h3>
-                    <div className="max-h-96 overflow-y-auto space-y-2">
-                        {players.map(player => (
-                            <div key={player.id} className="flex items-center justify-between bg-gray-700 p-2 sm:p-3 rounded-lg shadow-md">
-                                <span className="text-base sm:text-lg font-medium text-gray-50 flex-grow truncate pr-2">{player.name}</span>
-                                <div className="flex gap-1 sm:gap-2 flex-shrink-0">
-                                    {player.isHost && <span className="text-xs sm:text-sm font-semibold text-purple-400">HOST</span>}
-                                    {player.id === userId && <span className="text-xs sm:text-sm font-semibold text-green-400">(You)</span>}
-                                </div>
-                            </div>
-                        ))}
+    const noAnswerCount = activePlayers.filter(p => p.lastAnswer === null).length;
+    if (noAnswerCount > 0) buckets.push({ label: 'No answer', count: noAnswerCount, isCorrect: false });
+    return buckets.map(bucket => ({ ...bucket, share: bucket.count / activePlayers.length }));
+};
+
+/** Animated bars with the count and share of players behind each answer, shown after the reveal. */
+const AnswerDistribution = ({ lobbyState, players, size = 'compact' }) => {
+    const buckets = getAnswerDistribution(lobbyState, players);
+    if (buckets.length === 0) return null;
+
+    const isLarge = size === 'large';
+    return (
+        <div className={`w-full ${isLarge ? 'max-w-6xl p-6 md:p-8 mb-8' : 'max-w-4xl p-4 sm:p-6 mb-4'} bg-gray-800 rounded-2xl shadow-xl animate-fade-in-down`}>
+            <h3 className={`${isLarge ? 'text-3xl mb-4' : 'text-lg sm:text-xl mb-3'} font-bold`}>📊 How Everyone Answered</h3>
+            <div className={isLarge ? 'space-y-4' : 'space-y-2'}>
+                {buckets.map(({ label, count, share, isCorrect }, index) => (
+                    <div key={index}>
+                        <div className={`flex justify-between gap-3 ${isLarge ? 'text-2xl mb-1' : 'text-sm sm:text-base'}`}>
+                            <span className={`truncate font-semibold ${isCorrect ? 'text-green-400' : 'text-gray-200'}`}>{isCorrect && '✓ '}{label}</span>
+                            <span className="flex-shrink-0 text-gray-300">{count} · {Math.round(share * 100)}%</span>
+                        </div>
+                        <div className={`${isLarge ? 'h-6' : 'h-3'} bg-gray-700 rounded-full overflow-hidden`}>
+                            <div
+                                className={`h-full rounded-full origin-left animate-grow-x ${isCorrect ? 'bg-green-500' : 'bg-indigo-500'}`}
+                                style={{ width: `${share * 100}%` }}
+                            />
+                        </div>
                     </div>
-                    {isHost && players.length === 1 && (
-                        <p className="text-yellow-400 mt-4 text-center text-base sm:text-lg animate-pulse">Waiting for players to join...</p>
-                    )}
-                </div>
+                ))}
             </div>
+        </div>
+    );
+};
 
-            <p className="mt-6 sm:mt-8 text-xs sm:text-sm text-gray-500 px-2 text-center break-all">Your User ID: {userId}</p>
+/** A player's own result once the answer is revealed: right or wrong, and the points earned. */
+const AnswerResult = ({ result, hasAnswered, correctAnswer, usedDoublePoints = false, showStreak = false, wager = null }) => {
+    if (!result) {
+        return <p className="mt-8 text-xl sm:text-2xl font-bold text-yellow-400 animate-pulse">Checking your answer...</p>;
+    }
+
+    const { correct, points, streak = 0 } = result;
+    const pointsText = `${points > 0 ? '+' : ''}${points.toLocaleString()} pts`;
+    return (
+        <div className={`mt-8 w-full max-w-2xl p-4 rounded-2xl text-center shadow-xl animate-pop-in ${correct ? 'bg-green-600' : points > 0 ? 'bg-yellow-600' : 'bg-red-700'}`}>
+            <p className="text-2xl sm:text-3xl font-extrabold">
+                {correct ? '✅ Correct!' : points > 0 ? '🟡 Partly right' : hasAnswered ? '❌ Not quite' : "⏰ Time's up"}
+            </p>
+            <p className="text-xl sm:text-2xl font-black mt-1">{pointsText}</p>
+            {wager !== null && (
+                <p className="text-sm sm:text-base font-semibold mt-1">🎲 You bet {wager.toLocaleString()} and {correct ? 'won it' : 'lost it'}</p>
+            )}
+            {usedDoublePoints && points > 0 && <p className="text-sm sm:text-base font-semibold mt-1">{POWER_UPS.DOUBLE_POINTS.emoji} Double points!</p>}
+            {showStreak && streak >= 2 && <p className="text-sm sm:text-base font-semibold mt-1">🔥 {streak} in a row!</p>}
+            {!correct && correctAnswer !== null && correctAnswer !== undefined && (
+                <p className="mt-2 text-sm sm:text-base break-words">The answer was: <span className="font-bold">{formatAnswer(correctAnswer)}</span></p>
+            )}
         </div>
     );
 };
 
-const HostGameScreen = ({ db, gameCode, lobbyState, players, currentQuestion, userId }) => {
-    const [showAnswers, setShowAnswers] = useState(false);
-    const [isScoring, setIsScoring] = useState(false);
+const HostGameScreen = ({ db, gameCode, lobbyState, players, questions, currentQuestion, userId }) => {
+    // Reveal and scoring state lives on the game document: the host only reveals,
+    // the scoring Cloud Function (functions/index.js) awards the points.
+    const questionIndex = lobbyState.currentQuestionIndex;
+    const showAnswers = lobbyState.revealedQuestionIndex === questionIndex;
+    const isScoring = showAnswers && lobbyState.scoredQuestionIndex !== questionIndex;
     
-    // LLM Explanation State
-    const [explanation, setExplanation] = useState(null);
-    const [isExplaining, setIsExplaining] = useState(false);
+    // Explanations are fetched when the question starts and published to the game doc on reveal
+    const explanationsRef = useRef({}); // questionIndex -> Promise of the text (null for none)
+    const [explainingIndex, setExplainingIndex] = useState(null);
+    const hasExplanation = lobbyState.revealedExplanation?.questionIndex === questionIndex;
 
-    // Check if all players have answered
-    const activePlayers = players.filter(p => !p.isHost);
+    // Check if all players have answered (late joiners wait for the next question)
+    const activePlayers = players.filter(p => isPlayingQuestion(p, questionIndex));
     const answersSubmitted = activePlayers.filter(p => p.lastAnswer !== null).length;
-    const allAnswered = answersSubmitted === activePlayers.length;
+    // Players whose device has gone quiet don't hold up the reveal, and neither does a player
+    // who took over hosting (they're still scored, but can't answer from this screen)
+    const allAnswered = activePlayers.every(p => p.lastAnswer !== null || isPresenceStale(p.lastSeen) || p.id === userId);
+    const tookOverHosting = !!lobbyState.hostMigratedAt && lobbyState.hostUserId === userId;
+    const { secondsPerQuestion } = getQuestionSettings(lobbyState);
+    // Extra time holds the reveal until the players who used it run out too
+    const revealAfterSeconds = secondsPerQuestion +
+        (activePlayers.some(p => hasUsedPowerUp(p, 'EXTRA_TIME', questionIndex)) ? EXTRA_TIME_SECONDS : 0);
+    const totalQuestions = getPlayableQuestionCount(lobbyState);
+    const isWagerQuestion = questionIndex === getWagerQuestionIndex(lobbyState);
+
+    // Rounds: INTRO card -> questions -> LEADERBOARD between rounds (see getRoundPhase)
+    const roundPhase = getRoundPhase(lobbyState);
+    const roundIndex = getRoundIndex(lobbyState);
+    const round = getRound(lobbyState);
+
+    // Media questions: the timer starts once every device has the media, so slow phones aren't penalized
+    const isWaitingForMedia = lobbyState.status === 'PLAYING' && roundPhase === 'QUESTION' && !lobbyState.currentQuestionStartTime;
+    const hostMediaReady = useMediaPreload(currentQuestion);
+    const mediaReadyCount = activePlayers.filter(p => p.mediaReadyIndex === questionIndex).length;
+    const allMediaReady = hostMediaReady &&
+        activePlayers.every(p => p.mediaReadyIndex === questionIndex || isPresenceStale(p.lastSeen));
+    const timerStartedForRef = useRef(-1);
+
+    const handleStartTimer = useCallback(async () => {
+        if (timerStartedForRef.current === questionIndex) return;
+        timerStartedForRef.current = questionIndex;
+        try {
+            await updateDoc(getGameDocPath(db, gameCode), { currentQuestionStartTime: serverTimestamp() });
+        } catch (e) {
+            timerStartedForRef.current = -1;
+            console.error('❌ Error starting the question timer:', e);
+        }
+    }, [db, gameCode, questionIndex]);
 
     useEffect(() => {
-        // Automatically show answers 30 seconds after question starts, or when all players submit
-        if (lobbyState?.status === 'PLAYING' && lobbyState.currentQuestionStartTime) {
-            const timer = setTimeout(() => {
-                if (!showAnswers && !isScoring) {
-                    setShowAnswers(true);
-                }
-            }, 30000); // 30 seconds timeout
+        if (isWaitingForMedia && allMediaReady) handleStartTimer();
+    }, [isWaitingForMedia, allMediaReady, handleStartTimer]);
 
-            if (allAnswered && !showAnswers && !isScoring) {
-                 setShowAnswers(true);
-            }
+    useEffect(() => {
+        if (!isWaitingForMedia) return;
+        const timer = setTimeout(handleStartTimer, MEDIA_PRELOAD_TIMEOUT_MS);
+        return () => clearTimeout(timer);
+    }, [isWaitingForMedia, handleStartTimer]);
 
-            return () => clearTimeout(timer);
+    const handleRevealAnswers = useCallback(async () => {
+        if (showAnswers || !currentQuestion) return;
+        try {
+            // Copy the answer out of the host-only doc so players can see it
+            await updateDoc(getGameDocPath(db, gameCode), {
+                revealedQuestionIndex: questionIndex,
+                revealedAnswer: currentQuestion.correctAnswer,
+                revealedCitation: currentQuestion.citation || null,
+            });
+        } catch (e) {
+            console.error('❌ Error revealing answers:', e);
         }
-    }, [lobbyState, allAnswered, showAnswers, isScoring]);
-    
-    // Scoring logic (run once when showAnswers becomes true)
+    }, [db, gameCode, questionIndex, showAnswers, currentQuestion]);
+
     useEffect(() => {
-        if (!db || !gameCode || !currentQuestion || !showAnswers || isScoring) return;
-        
-        console.log('💰 Running scoring logic...');
-        setIsScoring(true); // Prevent re-running score logic
-        
-        // Capture the player list NOW (not reactive)
-        const playersToScore = players.filter(p => !p.isHost);
-        const questionStartTime = lobbyState.currentQuestionStartTime;
-        
-        const scoreUpdates = playersToScore.map(player => {
-            const playerDocRef = getPlayerDocPath(db, gameCode, player.id);
-            let scoreIncrease = 0;
-            
-            // Time-based scoring: 1000 points max, decreases over 30 seconds
-            if (player.lastAnswer === currentQuestion.correctAnswer && player.answerTimestamp) {
-                const responseTime = player.answerTimestamp - questionStartTime; // milliseconds
-                const responseTimeSeconds = responseTime / 1000;
-                
-                // Calculate score: 1000 points for instant answer, decreasing to 500 points at 30 seconds
-                // Formula: 1000 - (500 * (time/30))
-                const timePenalty = Math.min(responseTimeSeconds / 30, 1); // Cap at 1 (30 seconds)
-                scoreIncrease = Math.round(1000 - (500 * timePenalty));
-                scoreIncrease = Math.max(scoreIncrease, 500); // Minimum 500 points for correct answer
-                
-                console.log(`✅ ${player.name} answered correctly in ${responseTimeSeconds.toFixed(2)}s! +${scoreIncrease}`);
-            } else if (player.lastAnswer === currentQuestion.correctAnswer) {
-                // Fallback if timestamp missing
-                scoreIncrease = 1000;
-                console.log(`✅ ${player.name} answered correctly! +${scoreIncrease}`);
-            } else {
-                console.log(`❌ ${player.name} answered: ${player.lastAnswer}`);
-            }
-            
-            // Only update if score is changing
-            if (scoreIncrease > 0) {
-                 return updateDoc(playerDocRef, {
-                    score: player.score + scoreIncrease,
-                });
-            }
-            return Promise.resolve();
-        });
-        
-        Promise.all(scoreUpdates)
-            .then(() => {
-                console.log('✅ Scoring complete');
-                setIsScoring(false); // Re-enable the 'Next' button
-            })
-            .catch(e => {
-                console.error("Error scoring:", e);
-                setIsScoring(false); // Also re-enable on error
+        // Automatically show answers when the time limit runs out, or when all players submit
+        const startTime = toMillis(lobbyState.currentQuestionStartTime);
+        if (lobbyState.status !== 'PLAYING' || !startTime || showAnswers) return;
+
+        if (allAnswered) {
+            handleRevealAnswers();
+            return;
+        }
+
+        const remaining = startTime + revealAfterSeconds * 1000 - Date.now();
+        const timer = setTimeout(handleRevealAnswers, Math.max(0, remaining));
+        return () => clearTimeout(timer);
+    }, [lobbyState.status, lobbyState.currentQuestionStartTime, revealAfterSeconds, allAnswered, showAnswers, handleRevealAnswers]);
+
+
+    /**
+     * Resets answers and opens a question (its timer waits for media preloading, if any).
+     * The wager question is announced first, so players bet before they see it.
+     */
+    const goToQuestion = async (index) => {
+        if (index === getWagerQuestionIndex(lobbyState) && roundPhase !== 'WAGER') {
+            await updateDoc(getGameDocPath(db, gameCode), {
+                currentQuestionIndex: index,
+                roundPhase: 'WAGER',
+                currentQuestion: null,
+                revealedAnswer: null,
+                revealedCitation: null,
+                currentQuestionStartTime: null,
             });
-            
-    }, [db, gameCode, currentQuestion?.id, showAnswers]); // Use question id instead of object
+            return;
+        }
+
+        // Reset all player answers first, so the previous answers don't count
+        // as "everyone answered" and auto-reveal the new question
+        const playersColRef = getPlayersCollectionPath(db, gameCode);
+        const playerDocs = await getDocs(playersColRef);
+        const updatePromises = playerDocs.docs.map(docSnap =>
+            updateDoc(docSnap.ref, { lastAnswer: null, answerTimestamp: null })
+        );
+        await Promise.all(updatePromises);
 
+        await updateDoc(getGameDocPath(db, gameCode), {
+            currentQuestionIndex: index,
+            roundPhase: 'QUESTION',
+            currentQuestion: toPublicQuestion(questions[index]),
+            revealedAnswer: null,
+            revealedCitation: null,
+            currentQuestionStartTime: hasMedia(questions[index]) ? null : serverTimestamp(),
+            currentQuestionSeconds: getQuestionSettings(lobbyState, index).secondsPerQuestion,
+        });
+    };
 
     const handleNextQuestion = async () => {
         console.log('➡️ Moving to next question...');
         const nextIndex = lobbyState.currentQuestionIndex + 1;
 
-        if (nextIndex < lobbyState.questions.length) {
-            // Next Question
+        if (nextIndex < totalQuestions) {
             try {
-                const gameDocRef = getGameDocPath(db, gameCode);
-                await updateDoc(gameDocRef, {
-                    currentQuestionIndex: nextIndex,
-                    currentQuestionStartTime: Date.now(),
-                });
-
-                // Reset all player answers
-                const playersColRef = getPlayersCollectionPath(db, gameCode);
-                const playerDocs = await getDocs(playersColRef);
-                const updatePromises = playerDocs.docs.map(docSnap =>
-                    updateDoc(docSnap.ref, { lastAnswer: null, answerTimestamp: null })
-                );
-                await Promise.all(updatePromises);
-                
-                setShowAnswers(false); // Reset UI state
-                setExplanation(null); // Reset LLM state
-                setIsScoring(false); // Reset scoring flag for next question
-                
-                console.log('✅ Moved to question', nextIndex + 1);
+                if (getRoundIndex(lobbyState, nextIndex) !== roundIndex) {
+                    // Last question of the round: standings first, then the next round's intro
+                    await updateDoc(getGameDocPath(db, gameCode), { roundPhase: 'LEADERBOARD' });
+                    console.log('🏁 Round finished:', round?.name);
+                } else {
+                    await goToQuestion(nextIndex);
+                    console.log('✅ Moved to question', nextIndex + 1);
+                }
             } catch (e) {
                 console.error('❌ Error moving to next question:', e);
                 alert('Error moving to next question: ' + e.message);
@@ -856,7 +3704,8 @@ const HostGameScreen = ({ db, gameCode, lobbyState, players, currentQuestion, us
             // End Game
             try {
                 const gameDocRef = getGameDocPath(db, gameCode);
-                await updateDoc(gameDocRef, { status: 'RESULTS' });
+                // The game is over, so every player may now see all the answers for their recap
+                await updateDoc(gameDocRef, { status: 'RESULTS', answerKey: buildAnswerKey(questions.slice(0, totalQuestions)) });
                 console.log('🏁 Game ended');
             } catch (e) {
                 console.error('❌ Error ending game:', e);
@@ -864,119 +3713,222 @@ const HostGameScreen = ({ db, gameCode, lobbyState, players, currentQuestion, us
             }
         }
     };
-    
-    const handleGenerateExplanation = useCallback(async () => {
-        if (!db || !currentQuestion || isExplaining) return; // Note: added check for isExplaining here
-        setIsExplaining(true);
-        setExplanation(null);
-
-        const systemPrompt = "You are a fun and engaging trivia master. Provide a concise, single-paragraph, and interesting explanation or fun fact about the correct answer, focusing on the context of the question. Your tone should be bright and educational.";
-        const userQuery = `The trivia question was: "${currentQuestion.question}". The correct answer was: "${currentQuestion.correctAnswer}". Please provide a brief fun fact or explanation (max 3 sentences).`;
 
-        const payload = {
-            contents: [{ parts: [{ text: userQuery }] }],
-            tools: [{ "google_search": {} }], // Use search grounding for accuracy
-            systemInstruction: { parts: [{ text: systemPrompt }] },
-        };
+    /** From the standings between rounds to the next round's intro card. */
+    const handleShowNextRound = async () => {
+        try {
+            await updateDoc(getGameDocPath(db, gameCode), {
+                roundPhase: 'INTRO',
+                currentQuestionIndex: lobbyState.currentQuestionIndex + 1,
+                currentQuestion: null,
+                revealedAnswer: null,
+                revealedCitation: null,
+                currentQuestionStartTime: null,
+            });
+        } catch (e) {
+            console.error('❌ Error showing the next round:', e);
+            alert('Error showing the next round: ' + e.message);
+        }
+    };
 
+    /** From a round's intro card to its first question. */
+    const handleStartRound = async () => {
         try {
-            const text = await callGeminiApi(payload);
-            setExplanation(text);
+            await goToQuestion(lobbyState.currentQuestionIndex);
+            console.log('▶️ Round started:', round?.name);
         } catch (e) {
-            console.error("Gemini Explanation Failed:", e);
-            setExplanation(`Sorry, I couldn't generate an explanation right now. (Error: ${e.message})`);
-        } finally {
-            setIsExplaining(false);
+            console.error('❌ Error starting the round:', e);
+            alert('Error starting the round: ' + e.message);
+        }
+    };
+    
+    /** From the bets to the wager question itself. */
+    const handleShowWagerQuestion = async () => {
+        try {
+            await goToQuestion(lobbyState.currentQuestionIndex);
+            console.log('🎲 Wager question shown');
+        } catch (e) {
+            console.error('❌ Error showing the wager question:', e);
+            alert('Error showing the wager question: ' + e.message);
+        }
+    };
+
+    const { aiExplanations } = getGameSettings(lobbyState);
+    const prefetchExplanation = useCallback((index) => {
+        if (!(index in explanationsRef.current) && questions[index]) {
+            explanationsRef.current[index] = getExplanation(questions[index], aiExplanations).catch(e => {
+                console.error("AI Explanation Failed:", e);
+                return null;
+            });
         }
-    }, [currentQuestion, isExplaining]);
+        return explanationsRef.current[index] ?? Promise.resolve(null);
+    }, [questions, aiExplanations]);
+
+    // Start on the explanation while players answer, so it's usually ready by the reveal
+    useEffect(() => {
+        if (lobbyState.status === 'PLAYING' && roundPhase === 'QUESTION') prefetchExplanation(questionIndex);
+    }, [lobbyState.status, roundPhase, questionIndex, prefetchExplanation]);
+
+    // Publish it once the answer is revealed (a host who took over publishes any still missing)
+    useEffect(() => {
+        if (!showAnswers || hasExplanation) return;
+        let isCurrent = true;
+        setExplainingIndex(questionIndex);
+        prefetchExplanation(questionIndex)
+            .then(text => {
+                if (!isCurrent || !text) return;
+                return updateDoc(getGameDocPath(db, gameCode), { revealedExplanation: { questionIndex, text } });
+            })
+            .catch(e => console.error('❌ Error publishing the explanation:', e))
+            .finally(() => setExplainingIndex(index => (index === questionIndex ? null : index)));
+        return () => { isCurrent = false; };
+    }, [db, gameCode, showAnswers, hasExplanation, questionIndex, prefetchExplanation]);
+
+
+    if (!currentQuestion) return null; // Should not happen in PLAYING mode
+
+    const nextIndex = lobbyState.currentQuestionIndex + 1;
+    const endsRound = nextIndex < totalQuestions && getRoundIndex(lobbyState, nextIndex) !== roundIndex;
+
+    const hostHeader = (
+        <>
+            <h1 className="text-2xl sm:text-3xl md:text-4xl font-extrabold text-indigo-400 mb-4 sm:mb-6 text-center px-2">Host Screen - Game: {gameCode}</h1>
+            {tookOverHosting && (
+                <p className="w-full max-w-4xl mb-4 p-3 bg-purple-800 rounded-xl text-center text-sm sm:text-base font-semibold text-yellow-300">
+                    👑 The host went away, so you're hosting now. Pick up where they left off!
+                </p>
+            )}
+        </>
+    );
 
+    if (roundPhase === 'INTRO') {
+        return (
+            <div className="min-h-screen bg-gray-900 text-white p-3 sm:p-4 md:p-8 flex flex-col items-center">
+                {hostHeader}
+                <RoundIntroCard lobbyState={lobbyState} roundIndex={roundIndex} />
+                <button
+                    onClick={handleStartRound}
+                    className="mt-6 sm:mt-8 w-full max-w-4xl p-3 sm:p-4 bg-yellow-500 text-gray-900 font-extrabold text-base sm:text-lg md:text-xl rounded-xl shadow-2xl hover:bg-yellow-600 transition duration-200 transform hover:scale-[1.01]"
+                >
+                    Start {round?.name || 'Round'}
+                </button>
+            </div>
+        );
+    }
 
-    if (!currentQuestion) return null; // Should not happen in PLAYING mode
+    if (roundPhase === 'WAGER') {
+        return (
+            <div className="min-h-screen bg-gray-900 text-white p-3 sm:p-4 md:p-8 flex flex-col items-center">
+                {hostHeader}
+                <WagerCard lobbyState={lobbyState} players={players} />
+                <div className="w-full max-w-4xl mt-6">
+                    <LiveLeaderboard players={players} title="Standings before the wager" />
+                </div>
+                <button
+                    onClick={handleShowWagerQuestion}
+                    className="mt-6 sm:mt-8 w-full max-w-4xl p-3 sm:p-4 bg-yellow-500 text-gray-900 font-extrabold text-base sm:text-lg md:text-xl rounded-xl shadow-2xl hover:bg-yellow-600 transition duration-200 transform hover:scale-[1.01]"
+                >
+                    Show the Wager Question
+                </button>
+            </div>
+        );
+    }
 
-    const totalQuestions = lobbyState.questions.length;
-    const nextIndex = lobbyState.currentQuestionIndex + 1;
+    if (roundPhase === 'LEADERBOARD') {
+        const nextRound = getRound(lobbyState, nextIndex);
+        return (
+            <div className="min-h-screen bg-gray-900 text-white p-3 sm:p-4 md:p-8 flex flex-col items-center">
+                {hostHeader}
+                <div className="w-full max-w-4xl">
+                    <LiveLeaderboard players={players} title={`Standings after ${round?.name || 'this round'}`} />
+                </div>
+                <button
+                    onClick={handleShowNextRound}
+                    className="mt-6 sm:mt-8 w-full max-w-4xl p-3 sm:p-4 bg-purple-600 text-white font-extrabold text-base sm:text-lg md:text-xl rounded-xl shadow-2xl hover:bg-purple-700 transition duration-200 transform hover:scale-[1.01]"
+                >
+                    Next: {nextRound?.name || 'Next Round'}
+                </button>
+            </div>
+        );
+    }
     
     return (
         <div className="min-h-screen bg-gray-900 text-white p-3 sm:p-4 md:p-8 flex flex-col items-center">
-            <h1 className="text-2xl sm:text-3xl md:text-4xl font-extrabold text-indigo-400 mb-4 sm:mb-6 text-center px-2">Host Screen - Game: {gameCode}</h1>
+            {hostHeader}
 
             {/* Question Card */}
             <div className="w-full max-w-4xl bg-gray-800 p-4 sm:p-6 md:p-8 rounded-2xl shadow-2xl mb-6 sm:mb-8">
                 <p className="text-base sm:text-lg md:text-xl font-semibold mb-3 sm:mb-4 text-center text-gray-400">
                     Question {lobbyState.currentQuestionIndex + 1} of {totalQuestions}
+                    {round && <RoundBadge round={round} />}
+                    {isWagerQuestion && <WagerBadge />}
                 </p>
                 <h2 className="text-xl sm:text-2xl md:text-3xl font-bold text-center mb-4 sm:mb-6 break-words">{currentQuestion.question}</h2>
 
+                <QuestionMedia question={currentQuestion} startTime={lobbyState.currentQuestionStartTime} />
+
                 {/* Options and Correct Answer */}
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-3 sm:gap-4">
-                    {currentQuestion.options.map((option, index) => (
-                        <div
-                            key={index}
-                            className={`p-3 sm:p-4 rounded-xl font-bold text-sm sm:text-base md:text-lg transition-all duration-300 break-words ${
-                                showAnswers && option === currentQuestion.correctAnswer
-                                    ? 'bg-green-600 shadow-xl'
-                                    : showAnswers && option !== currentQuestion.correctAnswer
-                                    ? 'bg-red-800 opacity-50'
-                                    : 'bg-gray-700'
-                            }`}
-                        >
-                            {option}
-                        </div>
-                    ))}
-                </div>
+                <QuestionAnswers question={currentQuestion} correctAnswer={currentQuestion.correctAnswer} showAnswers={showAnswers} />
             </div>
 
+            {showAnswers && <AnswerDistribution lobbyState={lobbyState} players={players} />}
+
             {/* Answers & Score */}
             <div className="w-full max-w-4xl bg-gray-800 p-4 sm:p-6 rounded-2xl shadow-xl mb-4">
                 <h3 className="text-lg sm:text-xl md:text-2xl font-bold mb-3 sm:mb-4 border-b border-gray-600 pb-2">
                     Player Answers ({answersSubmitted} / {activePlayers.length})
                 </h3>
                 <div className="max-h-64 overflow-y-auto space-y-2">
-                    {activePlayers.map(player => (
-                        <div key={player.id} className="flex items-center justify-between p-2 sm:p-3 rounded-lg shadow-md bg-gray-700">
-                            <span className="text-sm sm:text-base md:text-lg font-medium text-gray-50 truncate pr-2">{player.name}</span>
-                            <span className={`font-semibold text-xs sm:text-sm md:text-base flex-shrink-0 ${
-                                player.lastAnswer 
-                                    ? showAnswers && player.lastAnswer === currentQuestion.correctAnswer 
-                                        ? 'text-green-400' 
-                                        : showAnswers ? 'text-red-400' : 'text-yellow-400'
-                                    : 'text-gray-500 italic'
-                            }`}>
-                                {player.lastAnswer ? (showAnswers ? player.lastAnswer : 'ANSWERED') : 'Waiting...'}
-                            </span>
-                        </div>
-                    ))}
+                    {activePlayers.map(player => {
+                        const hasAnswered = player.lastAnswer !== null;
+                        // Right/wrong comes from the scoring function, which knows each type's matching rules
+                        const result = player.lastResult?.questionIndex === questionIndex ? player.lastResult : null;
+                        return (
+                            <div key={player.id} className="flex items-center justify-between p-2 sm:p-3 rounded-lg shadow-md bg-gray-700">
+                                <span className="text-sm sm:text-base md:text-lg font-medium text-gray-50 truncate pr-2">
+                                    {player.name}
+                                    {Object.entries(POWER_UPS).filter(([key]) => hasUsedPowerUp(player, key, questionIndex)).map(([key, { emoji, label }]) => (
+                                        <span key={key} className="ml-1" title={label}>{emoji}</span>
+                                    ))}
+                                    {isWagerQuestion && <span className="ml-2 text-xs text-yellow-300">bet {getWager(player, questionIndex).toLocaleString()}</span>}
+                                    {isPresenceStale(player.lastSeen) && <span className="ml-2 text-xs text-gray-400 italic">(away)</span>}
+                                </span>
+                                <span className={`font-semibold text-xs sm:text-sm md:text-base flex-shrink-0 max-w-[60%] truncate ${
+                                    hasAnswered
+                                        ? result
+                                            ? result.correct ? 'text-green-400' : 'text-red-400'
+                                            : 'text-yellow-400'
+                                        : 'text-gray-500 italic'
+                                }`}>
+                                    {hasAnswered ? (showAnswers ? formatAnswer(player.lastAnswer) : 'ANSWERED') : 'Waiting...'}
+                                </span>
+                            </div>
+                        );
+                    })}
                 </div>
             </div>
             
-            {/* --- GEMINI EXPLANATION --- */}
-            {/* {showAnswers && (
-                <div className="w-full max-w-4xl p-4 sm:p-6 bg-purple-900 rounded-2xl shadow-inner mb-4">
-                    <h3 className="text-lg sm:text-xl font-bold mb-3 text-yellow-300">✨ Answer Explanation</h3>
-                    
-                    {explanation ? (
-                        <p className="text-sm sm:text-base md:text-lg text-white p-3 bg-purple-800 rounded-lg break-words">{explanation}</p>
-                    ) : (
-                        <button
-                            onClick={handleGenerateExplanation}
-                            disabled={isExplaining}
-                            className="w-full p-3 bg-indigo-500 text-white font-bold rounded-xl shadow-md hover:bg-indigo-600 transition duration-200 disabled:opacity-50 text-sm sm:text-base"
-                        >
-                            {isExplaining ? 'Fetching Fun Fact...' : 'Get Fun Fact/Explanation'}
-                        </button>
-                    )}
-                </div>
-            )} */}
+            {/* --- EXPLANATION --- */}
+            {showAnswers && <ExplanationCard lobbyState={lobbyState} />}
+            {showAnswers && !hasExplanation && explainingIndex === questionIndex && (
+                <p className="w-full max-w-4xl mb-4 text-center text-sm sm:text-base text-yellow-300 animate-pulse">✨ Fetching a fun fact...</p>
+            )}
 
             {/* Host Actions */}
             <div className="w-full max-w-4xl px-2">
-                {!showAnswers ? (
+                {isWaitingForMedia ? (
                     <button
-                        onClick={() => setShowAnswers(true)}
+                        onClick={handleStartTimer}
+                        className="w-full p-3 sm:p-4 bg-gray-600 text-white font-extrabold text-base sm:text-lg md:text-xl rounded-xl shadow-2xl hover:bg-gray-500 transition duration-200"
+                    >
+                        Loading media ({mediaReadyCount} / {activePlayers.length} ready) · Start Now
+                    </button>
+                ) : !showAnswers ? (
+                    <button
+                        onClick={handleRevealAnswers}
                         className="w-full p-3 sm:p-4 bg-yellow-500 text-gray-900 font-extrabold text-base sm:text-lg md:text-xl rounded-xl shadow-2xl hover:bg-yellow-600 transition duration-200 transform hover:scale-[1.01]"
-                        disabled={isScoring}
                     >
-                        {isScoring ? 'Scoring...' : 'Reveal Answers Now'}
+                        Reveal Answers Now
                     </button>
                 ) : (
                     <button
@@ -984,7 +3936,7 @@ const HostGameScreen = ({ db, gameCode, lobbyState, players, currentQuestion, us
                         className="w-full p-3 sm:p-4 bg-purple-600 text-white font-extrabold text-base sm:text-lg md:text-xl rounded-xl shadow-2xl hover:bg-purple-700 transition duration-200 transform hover:scale-[1.01]"
                         disabled={isScoring}
                     >
-                        {nextIndex < totalQuestions ? 'Next Question' : 'End Game & Show Results'}
+                        {isScoring ? 'Scoring...' : endsRound ? 'Show Round Standings' : nextIndex < totalQuestions ? 'Next Question' : 'End Game & Show Results'}
                     </button>
                 )}
             </div>
@@ -992,54 +3944,340 @@ const HostGameScreen = ({ db, gameCode, lobbyState, players, currentQuestion, us
     );
 };
 
+// --- Player Answer Inputs ---
+// One per question type. Each calls onSubmit once with the answer to store in `lastAnswer`;
+// `submittedAnswer` is that stored answer (null until the player has answered).
+
+const MultipleChoiceInput = ({ options, submittedAnswer, onSubmit, removedOptions = [] }) => (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4 w-full max-w-2xl px-2">
+        {options.map((option, index) => {
+            // Options taken away by the 50:50 power-up stay in place, so the grid doesn't jump
+            const isRemoved = removedOptions.includes(option);
+            let bgColor = 'bg-indigo-600 hover:bg-indigo-700';
+            if (isRemoved) {
+                bgColor = 'bg-gray-800 text-gray-500 line-through opacity-40';
+            } else if (submittedAnswer !== null) {
+                bgColor = submittedAnswer === option
+                    ? 'bg-yellow-500 text-gray-900 shadow-lg ring-4 ring-yellow-300'
+                    : 'bg-gray-700 opacity-50';
+            }
+
+            return (
+                <button
+                    key={index}
+                    onClick={() => onSubmit(option)}
+                    disabled={submittedAnswer !== null || isRemoved}
+                    className={`p-3 sm:p-4 rounded-xl font-extrabold text-base sm:text-lg md:text-xl text-white transition-all duration-200 shadow-md transform hover:scale-[1.02] disabled:hover:scale-100 break-words ${bgColor}`}
+                >
+                    {option}
+                </button>
+            );
+        })}
+    </div>
+);
+
+const TrueFalseInput = ({ submittedAnswer, onSubmit }) => (
+    <div className="grid grid-cols-2 gap-3 sm:gap-4 w-full max-w-2xl px-2">
+        {[['True', 'bg-green-600 hover:bg-green-700'], ['False', 'bg-red-600 hover:bg-red-700']].map(([value, color]) => (
+            <button
+                key={value}
+                onClick={() => onSubmit(value)}
+                disabled={submittedAnswer !== null}
+                className={`p-6 sm:p-8 rounded-xl font-extrabold text-2xl sm:text-3xl text-white transition-all duration-200 shadow-md transform hover:scale-[1.02] disabled:hover:scale-100 ${
+                    submittedAnswer === null ? color : submittedAnswer === value ? 'bg-yellow-500 text-gray-900 ring-4 ring-yellow-300' : 'bg-gray-700 opacity-50'
+                }`}
+            >
+                {value === 'True' ? '✔ True' : '✘ False'}
+            </button>
+        ))}
+    </div>
+);
+
+/** Text box + submit button shared by the typed-answer inputs. */
+const TypedAnswerForm = ({ inputProps, draft, setDraft, submittedAnswer, onSubmit }) => (
+    <form
+        className="w-full max-w-2xl px-2 flex flex-col sm:flex-row gap-3"
+        onSubmit={(e) => {
+            e.preventDefault();
+            onSubmit();
+        }}
+    >
+        <input
+            {...inputProps}
+            className="flex-grow p-3 sm:p-4 bg-gray-700 border border-gray-600 rounded-xl text-white text-lg sm:text-xl font-bold focus:ring-2 focus:ring-indigo-500 disabled:opacity-75"
+            value={submittedAnswer !== null ? formatAnswer(submittedAnswer) : draft}
+            onChange={(e) => setDraft(e.target.value)}
+            disabled={submittedAnswer !== null}
+            autoFocus
+        />
+        <button
+            type="submit"
+            disabled={submittedAnswer !== null || !draft.trim()}
+            className="p-3 sm:p-4 bg-indigo-600 text-white font-extrabold text-lg rounded-xl shadow-md hover:bg-indigo-700 transition duration-200 disabled:opacity-50"
+        >
+            Submit
+        </button>
+    </form>
+);
+
+const FreeTextInput = ({ submittedAnswer, onSubmit }) => {
+    const [draft, setDraft] = useState('');
+    return (
+        <TypedAnswerForm
+            inputProps={{ type: 'text', placeholder: 'Type your answer', maxLength: 100, autoComplete: 'off' }}
+            draft={draft}
+            setDraft={setDraft}
+            submittedAnswer={submittedAnswer}
+            onSubmit={() => draft.trim() && onSubmit(draft.trim())}
+        />
+    );
+};
+
+const NumericInput = ({ submittedAnswer, onSubmit }) => {
+    const [draft, setDraft] = useState('');
+    return (
+        <TypedAnswerForm
+            inputProps={{ type: 'text', inputMode: 'decimal', placeholder: 'Your best guess', autoComplete: 'off' }}
+            draft={draft}
+            setDraft={setDraft}
+            submittedAnswer={submittedAnswer}
+            onSubmit={() => {
+                const guess = parseNumber(draft);
+                if (Number.isFinite(guess)) onSubmit(guess);
+            }}
+        />
+    );
+};
+
+/** Reorder the items with up/down buttons, then lock the order in. */
+const OrderInput = ({ items, submittedAnswer, onSubmit }) => {
+    const [order, setOrder] = useState(items);
+    const shownOrder = Array.isArray(submittedAnswer) ? submittedAnswer : order;
+    const isLocked = submittedAnswer !== null;
+
+    const moveItem = (index, offset) => {
+        const target = index + offset;
+        if (target < 0 || target >= order.length) return;
+        const newOrder = [...order];
+        [newOrder[index], newOrder[target]] = [newOrder[target], newOrder[index]];
+        setOrder(newOrder);
+    };
+
+    return (
+        <div className="w-full max-w-2xl px-2 space-y-2 sm:space-y-3">
+            {shownOrder.map((item, index) => (
+                <div key={item} className={`flex items-center gap-2 p-2 sm:p-3 rounded-xl shadow-md ${isLocked ? 'bg-gray-700' : 'bg-indigo-600'}`}>
+                    <span className="w-8 text-center font-black text-lg text-yellow-300">{index + 1}</span>
+                    <span className="flex-grow font-bold text-base sm:text-lg break-words">{item}</span>
+                    {!isLocked && (
+                        <div className="flex flex-col gap-1 flex-shrink-0">
+                            <button onClick={() => moveItem(index, -1)} disabled={index === 0} className="px-3 py-1 bg-indigo-800 rounded-lg font-bold disabled:opacity-30" aria-label={`Move ${item} up`}>▲</button>
+                            <button onClick={() => moveItem(index, 1)} disabled={index === order.length - 1} className="px-3 py-1 bg-indigo-800 rounded-lg font-bold disabled:opacity-30" aria-label={`Move ${item} down`}>▼</button>
+                        </div>
+                    )}
+                </div>
+            ))}
+            {!isLocked && (
+                <button
+                    onClick={() => onSubmit(order)}
+                    className="w-full p-3 sm:p-4 bg-yellow-500 text-gray-900 font-extrabold text-lg rounded-xl shadow-md hover:bg-yellow-600 transition duration-200"
+                >
+                    Lock In This Order
+                </button>
+            )}
+        </div>
+    );
+};
+
+/** Picks the input component for the current question's type. */
+const AnswerInput = ({ question, submittedAnswer, onSubmit, removedOptions }) => {
+    switch (getQuestionType(question)) {
+        case QUESTION_TYPES.TRUE_FALSE:
+            return <TrueFalseInput submittedAnswer={submittedAnswer} onSubmit={onSubmit} />;
+        case QUESTION_TYPES.FREE_TEXT:
+            return <FreeTextInput submittedAnswer={submittedAnswer} onSubmit={onSubmit} />;
+        case QUESTION_TYPES.NUMERIC:
+            return <NumericInput submittedAnswer={submittedAnswer} onSubmit={onSubmit} />;
+        case QUESTION_TYPES.ORDER:
+            return <OrderInput items={question.options} submittedAnswer={submittedAnswer} onSubmit={onSubmit} />;
+        default:
+            return <MultipleChoiceInput options={question.options} submittedAnswer={submittedAnswer} onSubmit={onSubmit} removedOptions={removedOptions} />;
+    }
+};
+
+/** The player's unused power-ups for this question; each can be played once per game. */
+const PowerUpBar = ({ player, questionIndex, question, isWagerQuestion, onUse }) => (
+    <div className="w-full max-w-2xl px-2 mb-4 grid grid-cols-3 gap-2">
+        {Object.entries(POWER_UPS).map(([key, { emoji, label, description }]) => {
+            const usedOn = player.powerUpsUsed?.[key];
+            const isActive = hasUsedPowerUp(player, key, questionIndex);
+            const isAvailable = usedOn === undefined && canUsePowerUp(key, question, isWagerQuestion);
+            return (
+                <button
+                    key={key}
+                    onClick={() => onUse(key)}
+                    disabled={!isAvailable}
+                    title={description}
+                    className={`p-2 rounded-xl text-xs sm:text-sm font-bold transition duration-200 ${
+                        isActive ? 'bg-yellow-500 text-gray-900 ring-2 ring-yellow-300'
+                            : isAvailable ? 'bg-purple-600 text-white hover:bg-purple-700'
+                            : 'bg-gray-800 text-gray-500'
+                    }`}
+                >
+                    <span className="block text-lg">{emoji}</span>
+                    {label}{isActive ? ' ✓' : usedOn !== undefined ? ' (used)' : ''}
+                </button>
+            );
+        })}
+    </div>
+);
+
+/** Bet on the wager question: anything from nothing to the player's whole score. */
+const WagerInput = ({ player, questionIndex, onPlaceWager }) => {
+    const maxWager = Math.max(player.score || 0, 0);
+    const placedWager = player.wager?.questionIndex === questionIndex ? player.wager.amount : null;
+    const [draft, setDraft] = useState(placedWager ?? Math.floor(maxWager / 2));
+
+    return (
+        <div className="w-full max-w-2xl mt-6 p-4 sm:p-6 bg-gray-800 rounded-2xl shadow-2xl text-center">
+            <p className="text-lg sm:text-xl font-bold mb-3">How much do you bet?</p>
+            <p className="text-4xl sm:text-5xl font-black text-yellow-400 mb-3">{draft.toLocaleString()}</p>
+            <input
+                type="range"
+                min={0}
+                max={maxWager}
+                step={Math.max(1, Math.round(maxWager / 100))}
+                value={draft}
+                onChange={(e) => setDraft(Number(e.target.value))}
+                disabled={maxWager === 0}
+                className="w-full mb-4"
+            />
+            <button
+                onClick={() => onPlaceWager(draft)}
+                disabled={draft === placedWager}
+                className="w-full p-3 bg-yellow-500 text-gray-900 font-extrabold text-lg rounded-xl shadow-lg hover:bg-yellow-600 transition duration-200 disabled:opacity-50"
+            >
+                {placedWager === null ? 'Place Bet' : draft === placedWager ? `Bet placed: ${placedWager.toLocaleString()}` : 'Change Bet'}
+            </button>
+            <p className="mt-3 text-xs sm:text-sm text-gray-400">
+                {maxWager === 0 ? "You have no points to bet, but you can still play." : 'You can change your bet until the question appears.'}
+            </p>
+        </div>
+    );
+};
+
 const PlayerGameScreen = ({ db, gameCode, lobbyState, players, currentQuestion, userId }) => {
     const player = players.find(p => p.id === userId);
-    const [selectedAnswer, setSelectedAnswer] = useState(player?.lastAnswer || null);
-    const [timeRemaining, setTimeRemaining] = useState(30);
-    
-    // Check for question change to reset answer state
-    useEffect(() => {
-        // Reset local state if player hasn't submitted an answer for the current question
-        if (!player || player.lastAnswer === null) {
-            setSelectedAnswer(null); 
-        }
-    }, [lobbyState?.currentQuestionIndex, player]);
-    
-    // Countdown timer
+    const timeRemaining = useCountdown(lobbyState?.currentQuestionStartTime, getAnswerTimeLimit(lobbyState, player));
+    // The stored answer survives a reload, so the inputs lock again after a refresh
+    const submittedAnswer = player?.lastAnswer ?? null;
+    const questionIndex = lobbyState?.currentQuestionIndex;
+    const hasStarted = !!lobbyState?.currentQuestionStartTime;
+    const showAnswers = lobbyState?.revealedQuestionIndex === questionIndex;
+    const result = player?.lastResult?.questionIndex === questionIndex ? player.lastResult : null;
+    const settings = getGameSettings(lobbyState);
+    const isWagerQuestion = questionIndex === getWagerQuestionIndex(lobbyState);
+    const removedOptions = player?.fiftyFifty?.questionIndex === questionIndex ? player.fiftyFifty.removedOptions : [];
+    // Answers can't be changed or sent once this player's own timer (extra time included) runs out
+    const isTimeUp = hasStarted && timeRemaining === 0 && submittedAnswer === null && !showAnswers;
+    const mediaReady = useMediaPreload(currentQuestion);
+
+    // Tell the host this device has the media, so it can start the timer
     useEffect(() => {
-        if (!lobbyState?.currentQuestionStartTime) return;
-        
-        const startTime = lobbyState.currentQuestionStartTime;
-        const updateTimer = () => {
-            const elapsed = Date.now() - startTime;
-            const remaining = Math.max(0, 30 - Math.floor(elapsed / 1000));
-            setTimeRemaining(remaining);
-        };
-        
-        updateTimer(); // Update immediately
-        const interval = setInterval(updateTimer, 100); // Update every 100ms for smooth countdown
-        
-        return () => clearInterval(interval);
-    }, [lobbyState?.currentQuestionStartTime, lobbyState?.currentQuestionIndex]);
+        if (!db || !gameCode || !userId || hasStarted || !mediaReady || !hasMedia(currentQuestion)) return;
+        if (player?.mediaReadyIndex === questionIndex) return;
+        updateDoc(getPlayerDocPath(db, gameCode, userId), { mediaReadyIndex: questionIndex })
+            .catch(e => console.error("Error reporting media ready:", e));
+    }, [db, gameCode, userId, hasStarted, mediaReady, currentQuestion, player?.mediaReadyIndex, questionIndex]);
 
     const handleAnswerSubmit = useCallback(async (answer) => {
-        if (!db || !gameCode || !player || player.lastAnswer) return;
+        if (!db || !gameCode || !player || submittedAnswer !== null || !hasStarted || isTimeUp) return;
+        if (!isPlayingQuestion(player, lobbyState.currentQuestionIndex)) return;
 
         const playerDocRef = getPlayerDocPath(db, gameCode, userId);
         try {
             await updateDoc(playerDocRef, {
                 lastAnswer: answer,
-                answerTimestamp: Date.now(), // Record when the answer was submitted
+                answerTimestamp: serverTimestamp(), // Server time, so the scoring function can trust it
             });
-            setSelectedAnswer(answer);
         } catch (e) {
             console.error("Error submitting answer:", e);
         }
-    }, [db, gameCode, userId, player]);
+    }, [db, gameCode, userId, player, submittedAnswer, hasStarted, isTimeUp, lobbyState?.currentQuestionIndex]);
+
+    const handleUsePowerUp = async (powerUp) => {
+        try {
+            const batch = writeBatch(db);
+            batch.update(getPlayerDocPath(db, gameCode, userId), { [`powerUpsUsed.${powerUp}`]: questionIndex });
+            // The applyFiftyFifty function picks the options to remove, since only the host can read the answer
+            if (powerUp === 'FIFTY_FIFTY') {
+                batch.set(doc(getGameDocPath(db, gameCode), 'powerUpRequests', userId), { powerUp, questionIndex });
+            }
+            await batch.commit();
+        } catch (e) {
+            console.error("Error using power-up:", e);
+        }
+    };
+
+    const handlePlaceWager = async (amount) => {
+        try {
+            await updateDoc(getPlayerDocPath(db, gameCode, userId), { wager: { questionIndex, amount } });
+        } catch (e) {
+            console.error("Error placing wager:", e);
+        }
+    };
     
+    const roundPhase = getRoundPhase(lobbyState);
+    if (player && roundPhase !== 'QUESTION') {
+        const round = getRound(lobbyState);
+        const rank = players
+            .filter(p => !p.isHost)
+            .sort((a, b) => b.score - a.score)
+            .findIndex(p => p.id === userId) + 1;
+        return (
+            <div className="min-h-screen bg-gray-900 text-white p-3 sm:p-4 md:p-8 flex flex-col items-center">
+                <h1 className="text-2xl sm:text-3xl font-extrabold text-green-400 mb-4 sm:mb-6 text-center px-2">{player.name} - Score: {player.score}</h1>
+                {roundPhase === 'INTRO' ? (
+                    <>
+                        <RoundIntroCard lobbyState={lobbyState} roundIndex={getRoundIndex(lobbyState)} />
+                        <p className="mt-6 text-xl sm:text-2xl font-bold text-yellow-400 animate-pulse text-center px-2">Get ready!</p>
+                    </>
+                ) : roundPhase === 'WAGER' ? (
+                    <>
+                        <WagerCard lobbyState={lobbyState} players={players} />
+                        {isPlayingQuestion(player, questionIndex) ? (
+                            <WagerInput player={player} questionIndex={questionIndex} onPlaceWager={handlePlaceWager} />
+                        ) : (
+                            <p className="mt-6 text-xl font-bold text-yellow-400 text-center px-2">You joined too late to bet. Watch the finale!</p>
+                        )}
+                    </>
+                ) : (
+                    <div className="w-full max-w-2xl">
+                        {rank > 0 && (
+                            <p className="mb-4 text-xl sm:text-2xl font-bold text-yellow-400 text-center">
+                                You're #{rank} after {round?.name || 'this round'}
+                            </p>
+                        )}
+                        <LiveLeaderboard players={players} title="Standings" />
+                    </div>
+                )}
+                <p className="mt-8 text-sm text-gray-500">Game Code: {gameCode}</p>
+            </div>
+        );
+    }
 
     if (!currentQuestion || !player) return null;
 
+    if (!isPlayingQuestion(player, lobbyState.currentQuestionIndex)) {
+        return (
+            <div className="min-h-screen bg-gray-900 text-white p-3 sm:p-4 md:p-8 flex flex-col items-center justify-center text-center">
+                <h1 className="text-2xl sm:text-3xl font-extrabold text-green-400 mb-4 sm:mb-6 px-2">{player.name} - Score: {player.score}</h1>
+                <p className="text-xl sm:text-2xl font-bold text-yellow-400 animate-pulse px-2">You're in! You'll start playing at the next question.</p>
+                <p className="mt-8 text-sm text-gray-500">Game Code: {gameCode}</p>
+            </div>
+        );
+    }
+
     return (
         <div className="min-h-screen bg-gray-900 text-white p-3 sm:p-4 md:p-8 flex flex-col items-center justify-start">
             <h1 className="text-2xl sm:text-3xl font-extrabold text-green-400 mb-4 sm:mb-6 text-center px-2">{player.name} - Score: {player.score}</h1>
@@ -1052,54 +4290,333 @@ const PlayerGameScreen = ({ db, gameCode, lobbyState, players, currentQuestion,
             {/* Question Card */}
             <div className="w-full max-w-2xl bg-gray-800 p-4 sm:p-6 rounded-2xl shadow-2xl mb-6 sm:mb-8">
                 <p className="text-base sm:text-lg font-semibold mb-2 sm:mb-3 text-center text-gray-400">
-                    Question {lobbyState.currentQuestionIndex + 1}
+                    Question {lobbyState.currentQuestionIndex + 1} of {getPlayableQuestionCount(lobbyState)}
+                    {getRound(lobbyState) && <RoundBadge round={getRound(lobbyState)} />}
+                    {isWagerQuestion && <WagerBadge />}
                 </p>
                 <h2 className="text-lg sm:text-xl md:text-2xl font-bold text-center break-words">{currentQuestion.question}</h2>
+                {isWagerQuestion && (
+                    <p className="mt-2 text-center text-sm sm:text-base text-yellow-400 font-semibold">
+                        Your bet: {getWager(player, questionIndex).toLocaleString()} pts
+                    </p>
+                )}
+                {hasMedia(currentQuestion) && (
+                    <div className="mt-4">
+                        <QuestionMedia question={currentQuestion} startTime={lobbyState.currentQuestionStartTime} />
+                    </div>
+                )}
             </div>
 
-            {/* Options */}
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4 w-full max-w-2xl px-2">
-                {currentQuestion.options.map((option, index) => {
-                    const isSelected = selectedAnswer === option;
-                    
-                    let bgColor = 'bg-indigo-600 hover:bg-indigo-700';
-                    let disabled = false;
-
-                    if (player.lastAnswer) {
-                        disabled = true;
-                        if (isSelected) {
-                            bgColor = 'bg-yellow-500 text-gray-900 shadow-lg ring-4 ring-yellow-300';
-                        } else {
-                            bgColor = 'bg-gray-700 opacity-50';
-                        }
-                    }
+            {settings.powerUps && hasStarted && submittedAnswer === null && !showAnswers && !isTimeUp && (
+                <PowerUpBar
+                    player={player}
+                    questionIndex={questionIndex}
+                    question={currentQuestion}
+                    isWagerQuestion={isWagerQuestion}
+                    onUse={handleUsePowerUp}
+                />
+            )}
 
-                    return (
-                        <button
-                            key={index}
-                            onClick={() => handleAnswerSubmit(option)}
-                            disabled={disabled}
-                            className={`p-3 sm:p-4 rounded-xl font-extrabold text-base sm:text-lg md:text-xl text-white transition-all duration-200 shadow-md transform hover:scale-[1.02] disabled:hover:scale-100 break-words ${bgColor}`}
-                        >
-                            {option}
-                        </button>
-                    );
-                })}
-            </div>
-            
-            {player.lastAnswer && (
-                <p className="mt-8 text-2xl font-bold text-yellow-400 animate-pulse">
-                    {selectedAnswer ? 'Answer Locked In!' : 'Waiting for Host...'}
+            {/* Answer input for this question's type (keyed so drafts reset between questions) */}
+            {isTimeUp ? (
+                <p className="text-xl sm:text-2xl font-bold text-red-500 text-center px-2">⏰ Time's up!</p>
+            ) : hasStarted ? (
+                <AnswerInput
+                    key={lobbyState.currentQuestionIndex}
+                    question={currentQuestion}
+                    submittedAnswer={submittedAnswer}
+                    onSubmit={handleAnswerSubmit}
+                    removedOptions={removedOptions}
+                />
+            ) : (
+                <p className="text-xl sm:text-2xl font-bold text-yellow-400 animate-pulse text-center px-2">
+                    {mediaReady ? 'Get ready...' : 'Loading media...'}
                 </p>
             )}
             
+            {showAnswers ? (
+                <AnswerResult
+                    result={result}
+                    hasAnswered={submittedAnswer !== null}
+                    correctAnswer={lobbyState.revealedAnswer}
+                    usedDoublePoints={settings.powerUps && hasUsedPowerUp(player, 'DOUBLE_POINTS', questionIndex)}
+                    showStreak={settings.streakBonus}
+                    wager={isWagerQuestion ? getWager(player, questionIndex) : null}
+                />
+            ) : submittedAnswer !== null && (
+                <p className="mt-8 text-2xl font-bold text-yellow-400 animate-pulse">Answer Locked In!</p>
+            )}
+
+            {showAnswers && (
+                <div className="w-full max-w-2xl mt-6 flex justify-center">
+                    <AnswerDistribution lobbyState={lobbyState} players={players} />
+                </div>
+            )}
+
+            <div className="w-full max-w-2xl mt-6 flex justify-center">
+                <ExplanationCard lobbyState={lobbyState} />
+            </div>
+            
             <p className="mt-8 text-sm text-gray-500">Game Code: {gameCode}</p>
 
         </div>
     );
 };
 
-const ResultsScreen = ({ db, gameCode, players, isHost, setGameCode, setMode }) => {
+/** Compact live standings (non-host players, highest score first). */
+const LiveLeaderboard = ({ players, title = 'Leaderboard' }) => {
+    const sortedPlayers = useMemo(() => {
+        return players
+            .filter(p => !p.isHost)
+            .sort((a, b) => b.score - a.score);
+    }, [players]);
+
+    return (
+        <div className="w-full bg-gray-800 p-4 sm:p-6 rounded-2xl shadow-xl">
+            <h3 className="text-lg sm:text-xl md:text-2xl font-bold mb-3 sm:mb-4 border-b border-gray-600 pb-2">{title}</h3>
+            <div className="max-h-96 overflow-y-auto space-y-2">
+                {sortedPlayers.map((player, index) => (
+                    <div key={player.id} className="flex items-center justify-between p-2 sm:p-3 rounded-lg shadow-md bg-gray-700">
+                        <span className="text-sm sm:text-base md:text-lg font-medium text-gray-50 truncate pr-2">
+                            <span className="font-black text-gray-400 mr-2">{index + 1}.</span>{player.name}
+                        </span>
+                        <span className="font-black text-sm sm:text-base md:text-lg text-indigo-400 flex-shrink-0">{player.score.toLocaleString()} pts</span>
+                    </div>
+                ))}
+                {sortedPlayers.length === 0 && <p className="text-gray-500 italic">No players yet.</p>}
+            </div>
+        </div>
+    );
+};
+
+/** Round name (and multiplier, when it isn't ×1) next to the question counter. */
+const RoundBadge = ({ round }) => (
+    <span className="ml-2 px-2 py-0.5 bg-purple-700 rounded-lg text-white text-[0.8em] whitespace-nowrap">
+        {round.name}{round.multiplier !== 1 && ` · ×${round.multiplier}`}
+    </span>
+);
+
+/** Title card shown before a round's first question: name, question type, timer and multiplier. */
+const RoundIntroCard = ({ lobbyState, roundIndex, size = 'compact' }) => {
+    const round = lobbyState.rounds?.[roundIndex];
+    if (!round) return null;
+
+    const { secondsPerQuestion } = getQuestionSettings(lobbyState, round.startIndex);
+    // The question cap can cut the last round short
+    const questionCount = Math.min(round.questionCount, getPlayableQuestionCount(lobbyState) - round.startIndex);
+    const isLarge = size === 'large';
+
+    return (
+        <div className={`w-full ${isLarge ? 'max-w-5xl p-10 md:p-16' : 'max-w-4xl p-6 sm:p-10'} bg-gradient-to-br from-indigo-700 to-purple-800 rounded-3xl shadow-2xl text-center animate-fade-in-down`}>
+            <p className={`${isLarge ? 'text-3xl' : 'text-base sm:text-xl'} font-semibold text-indigo-200 mb-2`}>
+                Round {roundIndex + 1} of {lobbyState.rounds.length}
+            </p>
+            <h2 className={`${isLarge ? 'text-7xl md:text-8xl' : 'text-4xl sm:text-5xl'} font-black mb-6 break-words`}>{round.name}</h2>
+            <div className={`flex flex-wrap justify-center gap-2 sm:gap-3 ${isLarge ? 'text-3xl' : 'text-sm sm:text-lg'} font-bold`}>
+                <span className="px-3 py-1 sm:px-4 sm:py-2 bg-white/10 rounded-xl">{questionCount} question{questionCount === 1 ? '' : 's'}</span>
+                <span className="px-3 py-1 sm:px-4 sm:py-2 bg-white/10 rounded-xl">{QUESTION_TYPE_LABELS[round.questionType] || 'Mixed'}</span>
+                <span className="px-3 py-1 sm:px-4 sm:py-2 bg-white/10 rounded-xl">⏱️ {secondsPerQuestion}s</span>
+                {round.multiplier !== 1 && (
+                    <span className="px-3 py-1 sm:px-4 sm:py-2 bg-yellow-400 text-gray-900 rounded-xl">×{round.multiplier} points</span>
+                )}
+            </div>
+        </div>
+    );
+};
+
+/** Marks the wager question next to the question counter. */
+const WagerBadge = () => (
+    <span className="ml-2 px-2 py-0.5 bg-yellow-500 text-gray-900 rounded-lg text-[0.8em] font-bold whitespace-nowrap">🎲 Wager</span>
+);
+
+/** Announces the wager question while players place their bets, with how many have. */
+const WagerCard = ({ lobbyState, players, size = 'compact' }) => {
+    const questionIndex = lobbyState.currentQuestionIndex;
+    const bettingPlayers = players.filter(p => isPlayingQuestion(p, questionIndex));
+    const betCount = bettingPlayers.filter(p => p.wager?.questionIndex === questionIndex).length;
+    const isLarge = size === 'large';
+
+    return (
+        <div className={`w-full ${isLarge ? 'max-w-5xl p-10 md:p-16' : 'max-w-4xl p-6 sm:p-10'} bg-gradient-to-br from-yellow-600 to-red-700 rounded-3xl shadow-2xl text-center animate-fade-in-down`}>
+            <h2 className={`${isLarge ? 'text-7xl md:text-8xl' : 'text-4xl sm:text-5xl'} font-black mb-4`}>🎲 Final Wager</h2>
+            <p className={`${isLarge ? 'text-3xl' : 'text-base sm:text-xl'} font-semibold mb-6`}>
+                Bet up to your whole score on the last question. Get it right to win your bet, miss it and you lose it.
+            </p>
+            <span className={`inline-block px-4 py-2 bg-white/15 rounded-xl font-bold ${isLarge ? 'text-4xl' : 'text-lg sm:text-2xl'}`}>
+                {betCount} / {bettingPlayers.length} bets placed
+            </span>
+        </div>
+    );
+};
+
+/** The fun fact for the revealed question, published to the game doc by the host. */
+const ExplanationCard = ({ lobbyState, size = 'compact' }) => {
+    const questionIndex = lobbyState?.currentQuestionIndex;
+    const explanation = lobbyState?.revealedExplanation?.questionIndex === questionIndex ? lobbyState.revealedExplanation : null;
+    // Questions generated from the host's own material quote the passage that answers them
+    const citation = lobbyState?.revealedQuestionIndex === questionIndex ? lobbyState.revealedCitation : null;
+    if (!explanation && !citation) return null;
+
+    const isLarge = size === 'large';
+    const textClass = `${isLarge ? 'text-2xl md:text-3xl' : 'text-sm sm:text-base md:text-lg'} text-white p-3 bg-purple-800 rounded-lg break-words`;
+    return (
+        <div className={`w-full ${isLarge ? 'max-w-6xl p-6 md:p-8 mb-8' : 'max-w-4xl p-4 sm:p-6 mb-4'} bg-purple-900 rounded-2xl shadow-inner animate-fade-in-down`}>
+            {explanation && (
+                <>
+                    <h3 className={`${isLarge ? 'text-3xl' : 'text-lg sm:text-xl'} font-bold mb-3 text-yellow-300`}>✨ Did you know?</h3>
+                    <p className={textClass}>{explanation.text}</p>
+                </>
+            )}
+            {citation && (
+                <>
+                    <h3 className={`${isLarge ? 'text-3xl' : 'text-lg sm:text-xl'} font-bold ${explanation ? 'mt-4' : ''} mb-3 text-yellow-300`}>📄 From the source</h3>
+                    <blockquote className={`${textClass} italic border-l-4 border-yellow-300`}>"{citation}"</blockquote>
+                </>
+            )}
+        </div>
+    );
+};
+
+/** Read-only view for people watching a game without playing in it. */
+const SpectatorScreen = ({ gameCode, lobbyState, players, onLeave }) => {
+    const timeRemaining = useCountdown(lobbyState?.currentQuestionStartTime, getQuestionSettings(lobbyState).secondsPerQuestion);
+
+    if (!lobbyState) {
+        return <div className="min-h-screen flex items-center justify-center bg-gray-900 text-white"><p>Connecting to game {gameCode}...</p></div>;
+    }
+
+    const questionIndex = lobbyState.currentQuestionIndex;
+    const currentQuestion = lobbyState.currentQuestion;
+    const showAnswers = lobbyState.revealedQuestionIndex === questionIndex;
+    const activePlayers = players.filter(p => isPlayingQuestion(p, questionIndex));
+    const answersSubmitted = activePlayers.filter(p => p.lastAnswer !== null).length;
+    const roundPhase = getRoundPhase(lobbyState);
+    const round = getRound(lobbyState);
+
+    return (
+        <div className="min-h-screen bg-gray-900 text-white p-3 sm:p-4 md:p-8 flex flex-col items-center">
+            <h1 className="text-2xl sm:text-3xl md:text-4xl font-extrabold text-indigo-400 mb-1 text-center px-2">Spectating: {gameCode}</h1>
+            <p className="text-sm sm:text-base text-gray-400 mb-4 sm:mb-6 text-center">👀 You're watching. Answers and scores update live.</p>
+
+            <div className="w-full max-w-4xl space-y-4 sm:space-y-6">
+                {(lobbyState.status === 'LOBBY' || lobbyState.status === 'UPLOAD') && (
+                    <p className="text-xl sm:text-2xl font-bold text-yellow-400 text-center animate-pulse">Waiting for the host to start the game...</p>
+                )}
+
+                {lobbyState.status === 'PLAYING' && roundPhase === 'INTRO' && (
+                    <RoundIntroCard lobbyState={lobbyState} roundIndex={getRoundIndex(lobbyState)} />
+                )}
+
+                {lobbyState.status === 'PLAYING' && roundPhase === 'WAGER' && (
+                    <WagerCard lobbyState={lobbyState} players={players} />
+                )}
+
+                {lobbyState.status === 'PLAYING' && roundPhase === 'LEADERBOARD' && (
+                    <p className="text-xl sm:text-2xl font-bold text-yellow-400 text-center">End of {round?.name || 'the round'}!</p>
+                )}
+
+                {lobbyState.status === 'PLAYING' && roundPhase === 'QUESTION' && currentQuestion && (
+                    <div className="bg-gray-800 p-4 sm:p-6 md:p-8 rounded-2xl shadow-2xl">
+                        <div className="flex items-center justify-between mb-3 sm:mb-4 text-gray-400 font-semibold text-sm sm:text-base">
+                            <span>
+                                Question {questionIndex + 1} of {getPlayableQuestionCount(lobbyState)}{round && <RoundBadge round={round} />}
+                                {questionIndex === getWagerQuestionIndex(lobbyState) && <WagerBadge />}
+                            </span>
+                            <span>{answersSubmitted} / {activePlayers.length} answered</span>
+                            <span className={`text-2xl sm:text-3xl font-black ${showAnswers ? 'text-gray-500' : timeRemaining <= 10 ? 'text-red-500 animate-pulse' : 'text-yellow-400'}`}>
+                                {showAnswers ? '—' : `${timeRemaining}s`}
+                            </span>
+                        </div>
+                        <h2 className="text-xl sm:text-2xl md:text-3xl font-bold text-center mb-4 sm:mb-6 break-words">{currentQuestion.question}</h2>
+                        <QuestionMedia question={currentQuestion} startTime={lobbyState.currentQuestionStartTime} />
+                        <QuestionAnswers question={currentQuestion} correctAnswer={lobbyState.revealedAnswer} showAnswers={showAnswers} />
+                    </div>
+                )}
+
+                {lobbyState.status === 'PLAYING' && roundPhase === 'QUESTION' && showAnswers && <AnswerDistribution lobbyState={lobbyState} players={players} />}
+                {lobbyState.status === 'PLAYING' && roundPhase === 'QUESTION' && <ExplanationCard lobbyState={lobbyState} />}
+
+                {lobbyState.status === 'RESULTS' && (
+                    <h2 className="text-3xl sm:text-4xl font-extrabold text-red-500 text-center">GAME OVER</h2>
+                )}
+
+                <LiveLeaderboard players={players} title={lobbyState.status === 'RESULTS' ? 'Final Results' : 'Leaderboard'} />
+
+                <button
+                    onClick={onLeave}
+                    className="w-full p-3 bg-gray-700 text-gray-200 font-bold rounded-xl shadow-md hover:bg-gray-600 transition duration-200 text-sm sm:text-base"
+                >
+                    Stop Watching
+                </button>
+            </div>
+        </div>
+    );
+};
+
+/** The end-of-game awards (see getAwards). */
+const AwardsPanel = ({ awards }) => (
+    <div className="w-full max-w-xl mt-6 grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {awards.map(({ emoji, title, winner, detail }) => (
+            <div key={title} className="p-3 sm:p-4 bg-gray-800 rounded-xl shadow-lg animate-fade-in-down">
+                <p className="text-sm font-bold text-yellow-400">{emoji} {title}</p>
+                <p className="text-lg sm:text-xl font-extrabold truncate">{winner}</p>
+                <p className="text-xs sm:text-sm text-gray-400">{detail}</p>
+            </div>
+        ))}
+    </div>
+);
+
+/** A player's answer to every question next to the correct one, with the points each earned. */
+const PlayerRecap = ({ player, answerKey }) => (
+    <div className="w-full max-w-xl mt-6 bg-gray-800 p-4 sm:p-6 rounded-2xl shadow-2xl">
+        <h3 className="text-xl sm:text-2xl font-bold mb-3 border-b border-gray-600 pb-2">Your Answers</h3>
+        <div className="space-y-2">
+            {answerKey.map(({ question, correctAnswer }, index) => {
+                const entry = player.answers?.[index];
+                const answered = entry && entry.answer !== null;
+                return (
+                    <div key={index} className={`p-3 rounded-lg border-l-4 ${entry?.correct ? 'bg-green-900/40 border-green-500' : 'bg-gray-700 border-red-500'}`}>
+                        <p className="text-sm sm:text-base font-semibold break-words">
+                            <span className="text-gray-400 mr-2">{index + 1}.</span>{question}
+                        </p>
+                        <div className="flex items-end justify-between gap-2 mt-1 text-xs sm:text-sm">
+                            <div className="min-w-0">
+                                <p className="break-words">
+                                    {entry?.correct ? '✅' : '❌'} You: {!entry ? <em className="text-gray-400">joined later</em> : answered ? formatAnswer(entry.answer) : <em className="text-gray-400">no answer</em>}
+                                </p>
+                                {!entry?.correct && <p className="text-green-300 break-words">Answer: {formatAnswer(correctAnswer)}</p>}
+                            </div>
+                            <span className={`font-black flex-shrink-0 ${entry?.points > 0 ? 'text-indigo-400' : entry?.points < 0 ? 'text-red-400' : 'text-gray-400'}`}>
+                                {entry?.points > 0 ? '+' : ''}{(entry?.points || 0).toLocaleString()}
+                            </span>
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    </div>
+);
+
+/** Download buttons for a finished game's standings, answers and questions (see getResultsExports). */
+const ResultsExportPanel = ({ record }) => (
+    <div className="w-full max-w-xl mt-6 p-4 bg-gray-800 rounded-2xl shadow-xl">
+        <h3 className="text-lg sm:text-xl font-bold mb-3">⬇️ Export Results</h3>
+        <div className="flex flex-wrap gap-2">
+            {getResultsExports(record).map(({ label, fileName, type, getContent }) => (
+                <button
+                    key={fileName}
+                    onClick={() => downloadFile(fileName, getContent(), type)}
+                    className="px-3 py-2 bg-indigo-600 text-white text-sm font-bold rounded-lg hover:bg-indigo-700 transition duration-200"
+                >
+                    {label}
+                </button>
+            ))}
+        </div>
+        <p className="mt-2 text-xs text-gray-400">The questions CSV can be uploaded again in the lobby of a new game.</p>
+    </div>
+);
+
+const ResultsScreen = ({ db, gameCode, lobbyState, players, questions, userId, isHost, setGameCode, setMode }) => {
     
     // Sort players for the leaderboard
     const sortedPlayers = useMemo(() => {
@@ -1107,22 +4624,36 @@ const ResultsScreen = ({ db, gameCode, players, isHost, setGameCode, setMode })
             .filter(p => !p.isHost)
             .sort((a, b) => b.score - a.score);
     }, [players]);
+
+    const me = players.find(p => p.id === userId && !p.isHost);
+    const answerKey = lobbyState?.answerKey || [];
+    const awards = useMemo(() => getAwards(getStandings(players), answerKey.length), [players, answerKey.length]);
+
+    // The same record the history gets, for the host's exports (only the host has the questions)
+    const gameRecord = useMemo(() => (
+        isHost ? buildGameRecord({ gameCode, lobbyState, players, questions }) : null
+    ), [isHost, gameCode, lobbyState, players, questions]);
     
     const handleEndGame = async () => {
         if (!isHost) return;
+        // The saveGameHistory function reads the player docs, so don't delete them before it's done
+        if (!lobbyState?.historySavedAt && !window.confirm("This game hasn't been saved to the game history yet. Close the room anyway?")) return;
         
         try {
-            // Delete all player documents first
             const playersColRef = getPlayersCollectionPath(db, gameCode);
             const playerDocs = await getDocs(playersColRef);
+
+            // Delete all player documents first
             const deletePromises = playerDocs.docs.map(docSnap => deleteDoc(docSnap.ref));
             await Promise.all(deletePromises);
             
-            // Delete the game document
+            // Delete the host-only questions, then the game document
+            await deleteDoc(getQuestionsDocPath(db, gameCode));
             const gameDocRef = getGameDocPath(db, gameCode);
             await deleteDoc(gameDocRef);
             
             // Go back to home screen
+            clearActiveGameCode();
             setGameCode('');
             setMode('HOME');
         } catch (e) {
@@ -1157,13 +4688,24 @@ const ResultsScreen = ({ db, gameCode, players, isHost, setGameCode, setMode })
                 </div>
             </div>
             
+            {awards.length > 0 && <AwardsPanel awards={awards} />}
+            {me && answerKey.length > 0 && <PlayerRecap player={me} answerKey={answerKey} />}
+
+            {gameRecord && <ResultsExportPanel record={gameRecord} />}
+
             {isHost ? (
-                <button
-                    onClick={handleEndGame}
-                    className="mt-8 sm:mt-10 p-3 sm:p-4 bg-red-600 text-white font-extrabold text-base sm:text-lg md:text-xl rounded-xl shadow-2xl hover:bg-red-700 transition duration-200 transform hover:scale-[1.01] w-full max-w-md"
-                >
-                    End Game and Close Room
-                </button>
+                <>
+                    <button
+                        onClick={handleEndGame}
+                        className="mt-8 sm:mt-10 p-3 sm:p-4 bg-red-600 text-white font-extrabold text-base sm:text-lg md:text-xl rounded-xl shadow-2xl hover:bg-red-700 transition duration-200 transform hover:scale-[1.01] w-full max-w-md"
+                    >
+                        End Game and Close Room
+                    </button>
+                    <p className="mt-3 text-sm text-gray-400 text-center px-2">
+                        {lobbyState?.historySavedAt ? 'The results are saved to the ' : 'Saving the results to the '}
+                        <a href="#/history" className="text-indigo-400 underline">game history</a> of whoever created this game.
+                    </p>
+                </>
             ) : (
                 <p className="mt-8 sm:mt-10 text-base sm:text-lg md:text-xl font-medium text-gray-400 text-center px-2">Waiting for host to close the room...</p>
             )}
@@ -1171,5 +4713,8 @@ const ResultsScreen = ({ db, gameCode, players, isHost, setGameCode, setMode })
     );
 };
 
+// Shared with the read-only display and history routes (DisplayScreen.jsx, HistoryScreen.jsx)
+export { useFirebase, useGameState, useGameHistory, useCountdown, formatAnswer, isPlayingQuestion, getGameSettings, getQuestionSettings, getPlayableQuestionCount, getRound, getRoundIndex, getRoundPhase, getWagerQuestionIndex, AnswerDistribution, ExplanationCard, LiveLeaderboard, QuestionAnswers, QuestionMedia, ResultsExportPanel, RoundBadge, RoundIntroCard, WagerBadge, WagerCard };
+
 // Export App as default
 export default App;
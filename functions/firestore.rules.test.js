@@ -0,0 +1,90 @@
+// Tests for firestore.rules, run against the Firestore emulator: `npm run test:rules` from this
+// directory (needs the Firebase CLI and Java). Plain `npm test` skips them when no emulator is running.
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, serverTimestamp, setDoc, updateDoc } from 'firebase/firestore';
+
+const GAME_PATH = 'artifacts/test-app/public/data/games/ABCD';
+const HOST = 'host';
+const PLAYER = 'alice';
+
+/** A player doc as handleJoinGame writes it. */
+const newPlayer = (extra = {}) => ({
+    name: 'Alice',
+    score: 0,
+    isHost: false,
+    lastAnswer: null,
+    timestamp: serverTimestamp(),
+    lastSeen: serverTimestamp(),
+    ...extra,
+});
+
+describe('firestore.rules: player docs', { skip: !process.env.FIRESTORE_EMULATOR_HOST && 'needs the Firestore emulator (npm run test:rules)' }, () => {
+    let testEnv;
+
+    before(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-smartish',
+            firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+        });
+    });
+
+    after(() => testEnv.cleanup());
+
+    beforeEach(() => testEnv.clearFirestore());
+
+    const playerDoc = (userId, playerId = userId) =>
+        doc(testEnv.authenticatedContext(userId).firestore(), `${GAME_PATH}/players/${playerId}`);
+
+    /** Writes the game and, optionally, Alice's player doc with the rules switched off. */
+    const seed = (game, player = null) => testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, GAME_PATH), { hostUserId: HOST, originalHostUserId: HOST, currentQuestionIndex: -1, revealedQuestionIndex: -1, ...game });
+        if (player) await setDoc(doc(db, `${GAME_PATH}/players/${PLAYER}`), { ...newPlayer(), ...player });
+    });
+
+    test('create: a fresh player doc in the lobby is allowed', async () => {
+        await seed({ status: 'LOBBY' });
+        await assertSucceeds(setDoc(playerDoc(PLAYER), newPlayer()));
+    });
+
+    test('create: points, extra fields, a host flag or client timestamps are rejected', async () => {
+        await seed({ status: 'LOBBY' });
+        await assertFails(setDoc(playerDoc(PLAYER), newPlayer({ score: 500 })));
+        await assertFails(setDoc(playerDoc(PLAYER), newPlayer({ streak: 5 })));
+        await assertFails(setDoc(playerDoc(PLAYER), newPlayer({ isHost: true })));
+        await assertFails(setDoc(playerDoc(PLAYER), newPlayer({ timestamp: 1 })));
+        await assertFails(setDoc(playerDoc(PLAYER), newPlayer({ name: '' })));
+    });
+
+    test("create: nobody can create someone else's player doc", async () => {
+        await seed({ status: 'LOBBY' });
+        await assertFails(setDoc(playerDoc('mallory', PLAYER), newPlayer()));
+    });
+
+    test('host: scores can be reset to zero in the lobby and while uploading', async () => {
+        await seed({ status: 'LOBBY' }, { score: 700 });
+        await assertSucceeds(updateDoc(playerDoc(HOST, PLAYER), { score: 0, lastAnswer: null, answerTimestamp: null }));
+        await seed({ status: 'UPLOAD' }, { score: 700 });
+        await assertSucceeds(updateDoc(playerDoc(HOST, PLAYER), { score: 0 }));
+    });
+
+    test('host: scores are left alone once the game is playing, and never set to anything but zero', async () => {
+        await seed({ status: 'PLAYING', currentQuestionIndex: 2 }, { score: 700 });
+        await assertFails(updateDoc(playerDoc(HOST, PLAYER), { score: 0 }));
+        await seed({ status: 'LOBBY' }, { score: 700 });
+        await assertFails(updateDoc(playerDoc(HOST, PLAYER), { score: 5000 }));
+    });
+
+    test('host: answers can be cleared between questions, but not written', async () => {
+        await seed({ status: 'PLAYING', currentQuestionIndex: 2 }, { score: 700, lastAnswer: 'Paris', answerTimestamp: 1 });
+        await assertSucceeds(updateDoc(playerDoc(HOST, PLAYER), { lastAnswer: null, answerTimestamp: null }));
+        await assertFails(updateDoc(playerDoc(HOST, PLAYER), { lastAnswer: 'London', answerTimestamp: null }));
+    });
+
+    test("players: can't clear another player's answer", async () => {
+        await seed({ status: 'PLAYING', currentQuestionIndex: 2 }, { lastAnswer: 'Paris', answerTimestamp: 1 });
+        await assertFails(updateDoc(playerDoc('mallory', PLAYER), { lastAnswer: null, answerTimestamp: null }));
+    });
+});
@@ -0,0 +1,280 @@
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { onDocumentCreated, onDocumentUpdated } from 'firebase-functions/v2/firestore';
+import { logger } from 'firebase-functions';
+import { POWER_UPS, removeWrongOptions, scoreQuestion } from './scoring.js';
+
+initializeApp();
+const db = getFirestore();
+
+const GAME_DOC_PATH = 'artifacts/{appId}/public/data/games/{gameCode}';
+const HOST_GRACE_PERIOD_MS = 45000; // Keep in sync with TriviaGame.jsx and firestore.rules (isHostAway)
+
+/** Converts a Firestore Timestamp (or legacy millisecond number) to milliseconds. */
+const toMillis = (value) => {
+    if (typeof value === 'number') return value;
+    if (value && typeof value.toMillis === 'function') return value.toMillis();
+    return null;
+};
+
+/**
+ * Game settings for one question, with its round's timer and point multiplier applied.
+ * Mirrors getQuestionSettings in TriviaGame.jsx.
+ */
+const getQuestionSettings = (game, questionIndex) => {
+    const round = (game.rounds || []).find(({ startIndex, questionCount }) =>
+        questionIndex >= startIndex && questionIndex < startIndex + questionCount);
+    return {
+        ...game.settings,
+        ...(round?.secondsPerQuestion != null && { secondsPerQuestion: round.secondsPerQuestion }),
+        pointMultiplier: round?.multiplier ?? 1,
+    };
+};
+
+/** Number of loaded questions that are played, after the question limit. Mirrors getPlayableQuestionCount in TriviaGame.jsx. */
+const getPlayableQuestionCount = (game) => {
+    const { questionLimit = 0 } = game.settings || {};
+    const questionCount = game.questionCount || 0;
+    return questionLimit > 0 ? Math.min(questionLimit, questionCount) : questionCount;
+};
+
+/**
+ * Index of the wager question: the last question played, when the host turned the wager round
+ * on and there are at least two questions (-1 otherwise). Mirrors getWagerQuestionIndex in TriviaGame.jsx.
+ */
+const getWagerQuestionIndex = (game) => {
+    const playableCount = getPlayableQuestionCount(game);
+    return game.settings?.wagerRound && playableCount >= 2 ? playableCount - 1 : -1;
+};
+
+/**
+ * The history record for a finished game: settings, the questions played and the standings
+ * with every answer. Mirrors buildGameRecord in TriviaGame.jsx (which the host's exports use).
+ */
+const buildGameRecord = (gameCode, game, players, questions) => {
+    const questionCount = Math.min(getPlayableQuestionCount(game), questions.length);
+    // Sorted by score, host excluded, with shared ranks for ties (1, 2, 2, 4)
+    const sorted = players.filter(player => !player.isHost).sort((a, b) => (b.score || 0) - (a.score || 0));
+    const standings = sorted.map(({ id, name, score, answers }) => ({
+        id,
+        name,
+        score: score || 0,
+        rank: sorted.findIndex(player => (player.score || 0) === (score || 0)) + 1,
+        answers: answers || {},
+    }));
+    return {
+        gameCode,
+        settings: game.settings || {},
+        rounds: game.rounds || [],
+        questions: questions.slice(0, questionCount),
+        questionCount,
+        players: standings,
+        playerCount: standings.length,
+        winner: standings[0]?.name || null,
+    };
+};
+
+/** The power-ups a player used on this question (`powerUpsUsed` maps each one to its question). */
+const getPowerUpsUsedOn = (player, questionIndex) =>
+    Object.keys(player.powerUpsUsed || {}).filter(powerUp => player.powerUpsUsed[powerUp] === questionIndex);
+
+/**
+ * Scores the current question once the host reveals it.
+ * The host only writes `revealedQuestionIndex`; point totals are computed here from server
+ * timestamps and written with the Admin SDK, so players can't fake a fast answer and scoring
+ * still completes if the host's tab closes right after the reveal.
+ */
+export const scoreRevealedQuestion = onDocumentUpdated(GAME_DOC_PATH, async (event) => {
+    const after = event.data.after.data();
+    if (!after || after.status !== 'PLAYING') return;
+
+    const questionIndex = after.currentQuestionIndex;
+    if (after.revealedQuestionIndex !== questionIndex || after.scoredQuestionIndex === questionIndex) return;
+
+    const gameRef = event.data.after.ref;
+    const playersRef = gameRef.collection('players');
+    const questionsRef = gameRef.collection('private').doc('questions');
+
+    await db.runTransaction(async (transaction) => {
+        const gameSnap = await transaction.get(gameRef);
+        const game = gameSnap.data();
+
+        // Another invocation may have already scored this question (triggers are at-least-once)
+        if (!game || game.scoredQuestionIndex === questionIndex || game.currentQuestionIndex !== questionIndex) return;
+
+        // Score against the host-only question list, not the answer the host copied out on reveal
+        const questionsSnap = await transaction.get(questionsRef);
+        const question = questionsSnap.data()?.questions?.[questionIndex];
+        if (!question) {
+            logger.warn(`Game ${event.params.gameCode}: no question at index ${questionIndex}`);
+            return;
+        }
+
+        const playersSnap = await transaction.get(playersRef);
+        const players = playersSnap.docs
+            // Late joiners sit out the question that was running when they joined
+            .filter(docSnap => !(docSnap.data().joinedAtQuestionIndex > questionIndex))
+            .map(docSnap => {
+                const data = docSnap.data();
+                return {
+                    id: docSnap.id,
+                    isHost: data.isHost,
+                    score: data.score,
+                    lastAnswer: data.lastAnswer,
+                    answeredAt: toMillis(data.answerTimestamp),
+                    streak: data.streak || 0,
+                    powerUps: getPowerUpsUsedOn(data, questionIndex),
+                    wager: data.wager?.questionIndex === questionIndex ? data.wager.amount : 0,
+                };
+            });
+
+        const questionStartTime = toMillis(game.currentQuestionStartTime);
+        const results = scoreQuestion({
+            players,
+            question,
+            questionStartTime,
+            settings: getQuestionSettings(game, questionIndex),
+            isWagerQuestion: questionIndex === getWagerQuestionIndex(game),
+        });
+
+        // lastResult lets each player see how they did without exposing the scoring inputs.
+        // answers keeps every question's answer and timing for the game history (lastAnswer is
+        // cleared when the next question opens).
+        const playersById = new Map(players.map(player => [player.id, player]));
+        results.forEach(({ id, points, correct, score, streak }) => {
+            const { lastAnswer, answeredAt } = playersById.get(id);
+            const responseMs = answeredAt !== null && questionStartTime !== null ? Math.max(0, answeredAt - questionStartTime) : null;
+            transaction.update(playersRef.doc(id), {
+                score,
+                streak,
+                lastResult: { questionIndex, points, correct, streak },
+                [`answers.${questionIndex}`]: { answer: lastAnswer ?? null, correct, points, responseMs },
+            });
+        });
+        transaction.update(gameRef, { scoredQuestionIndex: questionIndex });
+
+        logger.info(`Game ${event.params.gameCode}: scored question ${questionIndex + 1} for ${results.length} players`);
+    });
+});
+
+/**
+ * Saves a record of the game to its original host's history (/#/history) as soon as it reaches
+ * the results screen, so it's kept even if nobody closes the room, and stays with the host who
+ * created the game after a hand-off (assignNewHost). `historySavedAt` on the game tells the
+ * host's browser it's safe to delete the room.
+ */
+export const saveGameHistory = onDocumentUpdated(GAME_DOC_PATH, async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (!after || after.status !== 'RESULTS' || before?.status === 'RESULTS') return;
+
+    const gameRef = event.data.after.ref;
+    const [playersSnap, questionsSnap] = await Promise.all([
+        gameRef.collection('players').get(),
+        gameRef.collection('private').doc('questions').get(),
+    ]);
+    const players = playersSnap.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+    const record = buildGameRecord(event.params.gameCode, after, players, questionsSnap.data()?.questions || []);
+
+    // Named after the event, so a retried trigger overwrites its own record instead of adding another
+    const hostUserId = after.originalHostUserId || after.hostUserId;
+    const historyRef = db.doc(`artifacts/${event.params.appId}/users/${hostUserId}/gameHistory/${event.params.gameCode}-${Date.parse(event.time)}`);
+    await historyRef.set({ ...record, endedAt: FieldValue.serverTimestamp() });
+    await gameRef.update({ historySavedAt: FieldValue.serverTimestamp() });
+    logger.info(`Game ${event.params.gameCode}: saved to the history of ${hostUserId}`);
+});
+
+/**
+ * Gives a player who joins a running game the lowest current score, when the host picked
+ * that option (settings.lateJoin === 'LOWEST'). Players can only create their doc with
+ * 0 points, so the bump has to happen here.
+ */
+export const joinInProgress = onDocumentCreated(`${GAME_DOC_PATH}/players/{playerId}`, async (event) => {
+    const newPlayer = event.data.data();
+    if (newPlayer.joinedAtQuestionIndex === undefined) return;
+
+    const playerRef = event.data.ref;
+    const gameRef = playerRef.parent.parent;
+
+    await db.runTransaction(async (transaction) => {
+        const gameSnap = await transaction.get(gameRef);
+        const game = gameSnap.data();
+        if (!game || game.status !== 'PLAYING' || game.settings?.lateJoin !== 'LOWEST') return;
+
+        const playersSnap = await transaction.get(gameRef.collection('players'));
+        const scores = playersSnap.docs
+            .filter(docSnap => docSnap.id !== playerRef.id && !docSnap.data().isHost)
+            .map(docSnap => docSnap.data().score || 0);
+        if (scores.length === 0) return;
+
+        const lowestScore = Math.min(...scores);
+        transaction.update(playerRef, { score: lowestScore });
+        logger.info(`Game ${event.params.gameCode}: late joiner ${event.params.playerId} starts at ${lowestScore}`);
+    });
+});
+
+/**
+ * Answers a player's 50:50 power-up: TriviaGame.jsx files a `powerUpRequests/{playerId}` doc in
+ * the same batch that marks FIFTY_FIFTY as used on the current question. Two wrong options are
+ * picked from the host-only question list (players never see the answer) and written to their
+ * doc as `fiftyFifty: { questionIndex, removedOptions }`, and the request is deleted.
+ */
+export const applyFiftyFifty = onDocumentCreated(`${GAME_DOC_PATH}/powerUpRequests/{playerId}`, async (event) => {
+    const requestRef = event.data.ref;
+    const { questionIndex } = event.data.data();
+    const gameRef = requestRef.parent.parent;
+    const playerRef = gameRef.collection('players').doc(event.params.playerId);
+    const [gameSnap, questionsSnap, playerSnap] = await Promise.all([
+        gameRef.get(),
+        gameRef.collection('private').doc('questions').get(),
+        playerRef.get(),
+        requestRef.delete(),
+    ]);
+    const game = gameSnap.data();
+    const question = questionsSnap.data()?.questions?.[questionIndex];
+    if (!game || !question || game.currentQuestionIndex !== questionIndex || !game.settings?.powerUps) return;
+    if (!playerSnap.exists || playerSnap.data().fiftyFifty?.questionIndex === questionIndex) return; // Already answered
+
+    const removedOptions = removeWrongOptions(question);
+    await playerRef.update({ fiftyFifty: { questionIndex, removedOptions } });
+    logger.info(`Game ${event.params.gameCode}: 50:50 for ${event.params.playerId} on question ${questionIndex + 1}`);
+});
+
+/**
+ * Hands hosting over when the host's device has gone quiet mid-game. Any player may file a
+ * claim (firestore.rules checks the host's heartbeat), but the successor is picked here: the
+ * player who joined first among those still connected, so nobody can name themselves host.
+ * Only the game's hostUserId moves: players' isHost keeps marking the original, non-playing
+ * host, so the successor is still scored and ranked as a player.
+ */
+export const assignNewHost = onDocumentCreated(`${GAME_DOC_PATH}/hostClaims/{claimId}`, async (event) => {
+    const claimRef = event.data.ref;
+    const gameRef = claimRef.parent.parent;
+    const playersRef = gameRef.collection('players');
+
+    await db.runTransaction(async (transaction) => {
+        const gameSnap = await transaction.get(gameRef);
+        const playersSnap = await transaction.get(playersRef);
+        transaction.delete(claimRef);
+
+        const game = gameSnap.data();
+        if (!game || game.status !== 'PLAYING') return;
+
+        const now = Date.now();
+        const isPresent = (player) => {
+            const lastSeen = toMillis(player?.lastSeen);
+            return lastSeen !== null && now - lastSeen <= HOST_GRACE_PERIOD_MS;
+        };
+        const players = playersSnap.docs.map(docSnap => ({ id: docSnap.id, ref: docSnap.ref, ...docSnap.data() }));
+        const host = players.find(player => player.id === game.hostUserId);
+        if (isPresent(host)) return; // The host came back, or another claim already handed over
+
+        const successor = players
+            .filter(player => player.id !== game.hostUserId && isPresent(player))
+            .sort((a, b) => (toMillis(a.timestamp) ?? Infinity) - (toMillis(b.timestamp) ?? Infinity))[0];
+        if (!successor) return;
+
+        transaction.update(gameRef, { hostUserId: successor.id, hostMigratedAt: FieldValue.serverTimestamp() });
+        logger.info(`Game ${event.params.gameCode}: host ${game.hostUserId} was away, ${successor.id} took over`);
+    });
+});
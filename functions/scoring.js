@@ -0,0 +1,224 @@
+// --- Scoring Rules ---
+// Pure functions so the same rules can be exercised against the Firestore emulator
+// or called directly without any Firebase setup (see scoring.test.js, `npm test` in functions/).
+
+/**
+ * Scoring-related game settings, as stored on the game doc under `settings`.
+ * Keep the defaults in sync with DEFAULT_GAME_SETTINGS in TriviaGame.jsx.
+ */
+export const DEFAULT_SCORING_SETTINGS = {
+    secondsPerQuestion: 30, // How long players have to answer
+    maxPoints: 1000, // Points for an instant correct answer
+    minPoints: 500, // Points for a correct answer given at (or after) the time limit
+    speedBonus: true, // When off, every correct answer earns maxPoints
+    wrongAnswerPenalty: 0, // Points taken away for a wrong answer (no answer costs nothing)
+    pointMultiplier: 1, // Round multiplier, applied to points won and penalties alike
+    streakBonus: false, // Correct answers in a row earn more (see getStreakMultiplier)
+    powerUps: false, // Every player may use each of POWER_UPS once
+    wagerRound: false, // The last question is played for a wager instead of points
+};
+
+/** Game settings merged over the defaults, so older games keep scoring the same way. */
+export const getScoringSettings = (settings = {}) => ({ ...DEFAULT_SCORING_SETTINGS, ...settings });
+
+// --- Streaks, Power-ups and Wagers ---
+// Keep the power-up ids and EXTRA_TIME_SECONDS in sync with TriviaGame.jsx and firestore.rules.
+
+/** One-use power-ups. Players record the question they used each one on in `powerUpsUsed`. */
+export const POWER_UPS = {
+    DOUBLE_POINTS: 'DOUBLE_POINTS', // Points won on the question are doubled
+    FIFTY_FIFTY: 'FIFTY_FIFTY', // Two wrong options are removed (see removeWrongOptions)
+    EXTRA_TIME: 'EXTRA_TIME', // More time to answer, without losing speed points for it
+};
+
+export const EXTRA_TIME_SECONDS = 10;
+const STREAK_BONUS_STEP = 0.1; // Extra multiplier for each correct answer in a row before this one
+const MAX_STREAK_BONUS = 0.5;
+
+/** Multiplier for a correct answer after `streak` correct answers in a row: x1, x1.1, x1.2 ... up to x1.5. */
+export const getStreakMultiplier = (streak) => 1 + Math.min(Math.max(streak, 0) * STREAK_BONUS_STEP, MAX_STREAK_BONUS);
+
+/**
+ * The wrong options the 50:50 power-up takes away: two of them, or one when that would leave
+ * only the correct answer. Only multiple choice questions with 3+ options qualify.
+ * `random` is injectable so the pick can be tested.
+ */
+export const removeWrongOptions = (question, random = Math.random) => {
+    const wrongOptions = (question.options || []).filter(option => option !== question.correctAnswer);
+    const removeCount = Math.min(2, wrongOptions.length - 1);
+    if ((question.type || 'MULTIPLE_CHOICE') !== 'MULTIPLE_CHOICE' || removeCount < 1) return [];
+
+    const shuffled = [...wrongOptions];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled.slice(0, removeCount);
+};
+
+/**
+ * Points for a wager question: a fully correct answer wins the amount bet, anything else
+ * (including no answer) loses it. Bets are capped at the player's score, and never negative.
+ */
+export const calculateWagerPoints = ({ credit, wager, score }) => {
+    const amount = Math.min(Math.max(Math.floor(wager) || 0, 0), Math.max(score || 0, 0));
+    return credit >= 1 ? amount : -amount;
+};
+
+// --- Answer Matching ---
+
+/** Lowercases, strips accents, punctuation, leading articles and extra whitespace. */
+export const normalizeText = (text) => {
+    return String(text ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Accents
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ') // Punctuation
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^(the|a|an) /, '');
+};
+
+/** Levenshtein distance between two strings. */
+export const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/** Typos tolerated for an accepted answer of this length: none for short words, up to 2 for long ones. */
+const allowedTypos = (length) => (length <= 3 ? 0 : length <= 7 ? 1 : 2);
+
+/** True if a typed answer matches the correct answer or any accepted alternative. */
+export const matchesFreeText = (answer, acceptedAnswers) => {
+    const typed = normalizeText(answer);
+    if (!typed) return false;
+
+    return acceptedAnswers.some(accepted => {
+        const target = normalizeText(accepted);
+        return typed === target || editDistance(typed, target) <= allowedTypos(target.length);
+    });
+};
+
+/**
+ * Share of full credit (0 to 1) an answer earns, for every type except NUMERIC,
+ * which depends on the other players' guesses (see scoreQuestion).
+ */
+export const getAnswerCredit = (question, answer) => {
+    switch (question.type) {
+        case 'FREE_TEXT':
+            return matchesFreeText(answer, [question.correctAnswer, ...(question.acceptedAnswers || [])]) ? 1 : 0;
+        case 'ORDER': {
+            // Partial credit for each item in its correct position
+            const correctOrder = question.correctAnswer;
+            if (!Array.isArray(answer) || answer.length !== correctOrder.length) return 0;
+            const inPlace = correctOrder.filter((item, index) => answer[index] === item).length;
+            return inPlace / correctOrder.length;
+        }
+        default: // MULTIPLE_CHOICE, TRUE_FALSE
+            return answer === question.correctAnswer ? 1 : 0;
+    }
+};
+
+/** Closest-wins credit for NUMERIC questions: every guess at the smallest distance wins. */
+export const getNumericCredits = (question, players) => {
+    const target = Number(question.correctAnswer);
+    const distances = players.map(player => {
+        const guess = player.lastAnswer === null || player.lastAnswer === undefined || player.lastAnswer === ''
+            ? NaN
+            : Number(player.lastAnswer);
+        return Number.isFinite(guess) ? Math.abs(guess - target) : Infinity;
+    });
+    const closest = Math.min(...distances);
+    return distances.map(distance => (Number.isFinite(distance) && distance === closest ? 1 : 0));
+};
+
+// --- Points ---
+
+/**
+ * Points for a single answer. Full credit earns maxPoints when instant, decreasing
+ * linearly to minPoints at the time limit (or a flat maxPoints without the speed bonus),
+ * scaled by the credit for partially correct answers.
+ * A wrong answer costs the wrong-answer penalty; no answer earns nothing.
+ * Both are scaled by the round's point multiplier.
+ * Times are server timestamps in milliseconds.
+ */
+export const calculatePoints = ({ answered, credit, answeredAt, questionStartTime, settings }) => {
+    const { secondsPerQuestion, maxPoints, minPoints, speedBonus, wrongAnswerPenalty, pointMultiplier } = getScoringSettings(settings);
+
+    if (!answered) return 0;
+    if (credit <= 0) return wrongAnswerPenalty > 0 ? -Math.round(wrongAnswerPenalty * pointMultiplier) : 0; // Not -0
+
+    let points = maxPoints;
+    if (speedBonus) {
+        // Answers without a usable timing are treated as the slowest correct answer
+        if (typeof answeredAt !== 'number' || typeof questionStartTime !== 'number') {
+            points = minPoints;
+        } else {
+            const responseTime = Math.max(0, answeredAt - questionStartTime);
+            const timePenalty = Math.min(responseTime / (secondsPerQuestion * 1000), 1); // Cap at 1 (time limit)
+            points = Math.max(maxPoints - ((maxPoints - minPoints) * timePenalty), minPoints);
+        }
+    }
+    return Math.round(points * credit * pointMultiplier);
+};
+
+/**
+ * Scores every non-host player for one question.
+ * `players` is a list of { id, isHost, score, lastAnswer, answeredAt, streak, powerUps, wager }
+ * where `streak` counts their correct answers in a row so far, `powerUps` lists the POWER_UPS
+ * used on this question and `wager` is their bet when this is the wager question.
+ * `question` is the full question from the host-only doc ({ type, correctAnswer, acceptedAnswers }).
+ * Returns [{ id, points, correct, score, streak }] with the new total and streak for each player.
+ */
+export const scoreQuestion = ({ players, question, questionStartTime, settings, isWagerQuestion = false }) => {
+    const scoring = getScoringSettings(settings);
+    const scoredPlayers = players.filter(player => !player.isHost);
+    const type = question.type || 'MULTIPLE_CHOICE';
+    const credits = type === 'NUMERIC'
+        ? getNumericCredits(question, scoredPlayers)
+        : scoredPlayers.map(player => getAnswerCredit({ ...question, type }, player.lastAnswer));
+
+    return scoredPlayers.map((player, index) => {
+        const answered = player.lastAnswer !== null && player.lastAnswer !== undefined;
+        const credit = credits[index];
+        const powerUps = scoring.powerUps ? player.powerUps || [] : [];
+
+        let points;
+        if (isWagerQuestion) {
+            points = calculateWagerPoints({ credit, wager: player.wager, score: player.score });
+        } else {
+            points = calculatePoints({
+                answered,
+                credit,
+                answeredAt: player.answeredAt,
+                questionStartTime,
+                // Extra time stretches the speed bonus too, so the extra seconds don't cost points
+                settings: powerUps.includes(POWER_UPS.EXTRA_TIME)
+                    ? { ...scoring, secondsPerQuestion: scoring.secondsPerQuestion + EXTRA_TIME_SECONDS }
+                    : scoring,
+            });
+            if (points > 0) {
+                const streakMultiplier = scoring.streakBonus ? getStreakMultiplier(player.streak || 0) : 1;
+                const powerUpMultiplier = powerUps.includes(POWER_UPS.DOUBLE_POINTS) ? 2 : 1;
+                points = Math.round(points * streakMultiplier * powerUpMultiplier);
+            }
+        }
+
+        const correct = credit === 1;
+        return {
+            id: player.id,
+            points,
+            correct,
+            score: (player.score || 0) + points,
+            streak: correct ? (player.streak || 0) + 1 : 0,
+        };
+    });
+};
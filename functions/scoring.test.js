@@ -0,0 +1,152 @@
+// Run with `npm test` (node --test) from this directory: the scoring rules need no Firebase setup.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    calculatePoints,
+    getNumericCredits,
+    matchesFreeText,
+    removeWrongOptions,
+    scoreQuestion,
+    POWER_UPS,
+} from './scoring.js';
+
+const START = 1_000_000; // Question start time (ms)
+
+const multipleChoice = {
+    type: 'MULTIPLE_CHOICE',
+    correctAnswer: 'Paris',
+    options: ['Paris', 'London', 'Berlin', 'Madrid'],
+};
+
+/** A player who answered `afterSeconds` into the question. */
+const player = (id, lastAnswer, afterSeconds = 0, extra = {}) => ({
+    id,
+    isHost: false,
+    score: 0,
+    lastAnswer,
+    answeredAt: START + afterSeconds * 1000,
+    streak: 0,
+    powerUps: [],
+    wager: 0,
+    ...extra,
+});
+
+const score = (players, settings = {}, options = {}) => scoreQuestion({
+    players,
+    question: multipleChoice,
+    questionStartTime: START,
+    settings,
+    ...options,
+});
+
+test('calculatePoints: speed bonus runs from maxPoints down to minPoints at the time limit', () => {
+    const points = (afterSeconds) => calculatePoints({
+        answered: true, credit: 1, answeredAt: START + afterSeconds * 1000, questionStartTime: START,
+    });
+    assert.equal(points(0), 1000);
+    assert.equal(points(15), 750);
+    assert.equal(points(30), 500);
+    assert.equal(points(45), 500);
+});
+
+test('calculatePoints: flat points without the speed bonus, minPoints without timings', () => {
+    assert.equal(calculatePoints({ answered: true, credit: 1, answeredAt: START + 29000, questionStartTime: START, settings: { speedBonus: false } }), 1000);
+    assert.equal(calculatePoints({ answered: true, credit: 1, answeredAt: null, questionStartTime: START }), 500);
+});
+
+test('calculatePoints: partial credit, penalties and the round multiplier', () => {
+    assert.equal(calculatePoints({ answered: true, credit: 0.5, answeredAt: START, questionStartTime: START }), 500);
+    assert.equal(calculatePoints({ answered: true, credit: 1, answeredAt: START, questionStartTime: START, settings: { pointMultiplier: 2 } }), 2000);
+    assert.equal(calculatePoints({ answered: true, credit: 0, answeredAt: START, questionStartTime: START, settings: { wrongAnswerPenalty: 100, pointMultiplier: 2 } }), -200);
+    assert.equal(calculatePoints({ answered: false, credit: 0, answeredAt: null, questionStartTime: START, settings: { wrongAnswerPenalty: 100 } }), 0);
+});
+
+test('getNumericCredits: every guess at the closest distance wins', () => {
+    const question = { type: 'NUMERIC', correctAnswer: '100' };
+    const guesses = [90, 110, 50, '', null, 'abc'].map(lastAnswer => ({ lastAnswer }));
+    assert.deepEqual(getNumericCredits(question, guesses), [1, 1, 0, 0, 0, 0]);
+    assert.deepEqual(getNumericCredits(question, [{ lastAnswer: null }, { lastAnswer: '' }]), [0, 0]);
+});
+
+test('matchesFreeText: ignores case, accents, punctuation and articles, and tolerates typos on longer answers', () => {
+    assert.equal(matchesFreeText('the eiffel tower!', ['Eiffel Tower']), true);
+    assert.equal(matchesFreeText('Eifel Towr', ['Eiffel Tower']), true);
+    assert.equal(matchesFreeText('Pele', ['Pelé']), true);
+    assert.equal(matchesFreeText('car', ['cat']), false);
+    assert.equal(matchesFreeText('USA', ['United States', 'USA']), true);
+    assert.equal(matchesFreeText('  ', ['a']), false);
+});
+
+test('scoreQuestion: scores every non-host player and tracks streaks', () => {
+    const results = score([
+        player('host', 'Paris', 0, { isHost: true }),
+        player('fast', 'Paris', 0, { score: 200, streak: 2 }),
+        player('wrong', 'London', 0, { streak: 4 }),
+        player('silent', null, 0),
+    ]);
+    assert.deepEqual(results, [
+        { id: 'fast', points: 1000, correct: true, score: 1200, streak: 3 },
+        { id: 'wrong', points: 0, correct: false, score: 0, streak: 0 },
+        { id: 'silent', points: 0, correct: false, score: 0, streak: 0 },
+    ]);
+});
+
+test('scoreQuestion: the streak bonus adds x0.1 per correct answer in a row, up to x1.5', () => {
+    const [first, third, long] = score([
+        player('first', 'Paris'),
+        player('third', 'Paris', 0, { streak: 2 }),
+        player('long', 'Paris', 0, { streak: 100 }),
+    ], { streakBonus: true });
+    assert.equal(first.points, 1000);
+    assert.equal(third.points, 1200);
+    assert.equal(long.points, 1500);
+
+    const [withoutBonus] = score([player('p', 'Paris', 0, { streak: 5 })]);
+    assert.equal(withoutBonus.points, 1000);
+});
+
+test('scoreQuestion: double points and extra time only count when power-ups are on', () => {
+    const players = [
+        player('double', 'Paris', 0, { powerUps: [POWER_UPS.DOUBLE_POINTS] }),
+        player('doubleWrong', 'London', 0, { powerUps: [POWER_UPS.DOUBLE_POINTS] }),
+        player('extra', 'Paris', 30, { powerUps: [POWER_UPS.EXTRA_TIME] }),
+    ];
+    assert.deepEqual(score(players, { powerUps: true }).map(r => r.points), [2000, 0, 625]);
+    assert.deepEqual(score(players).map(r => r.points), [1000, 0, 500]);
+});
+
+test('scoreQuestion: the wager question wins or loses the bet, capped at the score', () => {
+    const results = score([
+        player('won', 'Paris', 25, { score: 800, wager: 500, streak: 3, powerUps: [POWER_UPS.DOUBLE_POINTS] }),
+        player('lost', 'London', 0, { score: 800, wager: 500 }),
+        player('silent', null, 0, { score: 800, wager: 300 }),
+        player('greedy', 'Paris', 0, { score: 400, wager: 9999 }),
+        player('noBet', 'Paris', 0, { score: 400 }),
+    ], { streakBonus: true, powerUps: true }, { isWagerQuestion: true });
+    assert.deepEqual(results.map(r => [r.id, r.points, r.score]), [
+        ['won', 500, 1300],
+        ['lost', -500, 300],
+        ['silent', -300, 500],
+        ['greedy', 400, 800],
+        ['noBet', 0, 400],
+    ]);
+});
+
+test('removeWrongOptions: takes away two wrong options, never the answer', () => {
+    for (const random of [() => 0, () => 0.5, () => 0.99]) {
+        const removed = removeWrongOptions(multipleChoice, random);
+        assert.equal(removed.length, 2);
+        assert.equal(new Set(removed).size, 2);
+        assert.ok(!removed.includes('Paris'));
+        removed.forEach(option => assert.ok(multipleChoice.options.includes(option)));
+    }
+});
+
+test('removeWrongOptions: leaves at least one wrong option, and skips other question types', () => {
+    const [removed, ...rest] = removeWrongOptions({ ...multipleChoice, options: ['Paris', 'London', 'Berlin'] });
+    assert.ok(['London', 'Berlin'].includes(removed));
+    assert.equal(rest.length, 0);
+    assert.deepEqual(removeWrongOptions({ ...multipleChoice, options: ['Paris', 'London'] }), []);
+    assert.deepEqual(removeWrongOptions({ type: 'TRUE_FALSE', correctAnswer: 'True', options: ['True', 'False'] }), []);
+    assert.deepEqual(removeWrongOptions({ type: 'FREE_TEXT', correctAnswer: 'Paris' }), []);
+});
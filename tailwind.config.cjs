@@ -10,12 +10,23 @@ module.exports = {
     extend: {
       animation: {
         'fade-in-down': 'fadeInDown 0.5s ease-out',
+        'pop-in': 'popIn 0.6s cubic-bezier(0.34, 1.56, 0.64, 1)',
+        'grow-x': 'growX 0.8s ease-out',
       },
       keyframes: {
         fadeInDown: {
           '0%': { opacity: '0', transform: 'translateY(-20px)' },
           '100%': { opacity: '1', transform: 'translateY(0)' },
         },
+        popIn: {
+          '0%': { transform: 'scale(1)' },
+          '50%': { transform: 'scale(1.08)' },
+          '100%': { transform: 'scale(1.04)' },
+        },
+        growX: {
+          '0%': { transform: 'scaleX(0)' },
+          '100%': { transform: 'scaleX(1)' },
+        },
       },
     },
   },
@@ -0,0 +1,181 @@
+// --- AI Proxy Worker ---
+// Serves /api/generate for the browser's "proxy" LLM provider (see the LLM Providers section in
+// TriviaGame.jsx), so the Gemini key stays a Worker secret instead of shipping in client code.
+// Every other path falls through to the static assets in dist/.
+// Callers send { task, input }; the prompts, response schema and search grounding come from
+// worker/prompts.js, never from the request, so the endpoint can't run arbitrary prompts.
+//
+// Configuration (wrangler.jsonc):
+//   GEMINI_API_KEY         secret: npx wrangler secret put GEMINI_API_KEY
+//   FIREBASE_PROJECT_ID    var: ID tokens must be issued for this project
+//   GEMINI_MODEL           var (optional)
+//   GENERATE_RATE_LIMITER  rate limiting binding, keyed by the caller's Firebase uid
+
+import { buildPrompt } from './prompts.js';
+
+const DEFAULT_GEMINI_MODEL = "gemini-2.5-flash-preview-09-2025";
+const GEMINI_API_URL_BASE = "https://generativelanguage.googleapis.com/v1beta/models/";
+const FIREBASE_JWKS_URL = "https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com";
+
+// Used when the rate limiting binding isn't configured (e.g. wrangler dev); counts per isolate only
+const FALLBACK_RATE_LIMIT = { requests: 20, windowMs: 60 * 1000 };
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+});
+
+// --- Firebase ID Tokens ---
+
+let signingKeys = null; // { keys, expiresAt }, cached as long as Google's Cache-Control allows
+
+const base64UrlDecode = (text) => {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(text.length / 4) * 4, '=');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+};
+
+const decodeJsonPart = (part) => JSON.parse(new TextDecoder().decode(base64UrlDecode(part)));
+
+async function getSigningKeys() {
+    if (signingKeys && signingKeys.expiresAt > Date.now()) return signingKeys.keys;
+
+    const response = await fetch(FIREBASE_JWKS_URL);
+    if (!response.ok) throw new Error(`Could not fetch Firebase signing keys (${response.status}).`);
+    const { keys } = await response.json();
+    const maxAge = Number(response.headers.get('Cache-Control')?.match(/max-age=(\d+)/)?.[1]) || 3600;
+    signingKeys = { keys, expiresAt: Date.now() + maxAge * 1000 };
+    return keys;
+}
+
+/**
+ * Checks a Firebase Auth ID token (RS256 JWT signed by securetoken@system.gserviceaccount.com)
+ * the way the Admin SDK does, and returns the caller's uid.
+ */
+async function verifyIdToken(token, projectId) {
+    const [headerPart, payloadPart, signaturePart] = token.split('.');
+    if (!headerPart || !payloadPart || !signaturePart) throw new HttpError(401, 'Malformed ID token.');
+
+    let header, payload;
+    try {
+        header = decodeJsonPart(headerPart);
+        payload = decodeJsonPart(payloadPart);
+    } catch (e) {
+        throw new HttpError(401, 'Malformed ID token.');
+    }
+    if (header.alg !== 'RS256') throw new HttpError(401, 'ID token has the wrong signing algorithm.');
+
+    const jwk = (await getSigningKeys()).find(key => key.kid === header.kid);
+    if (!jwk) throw new HttpError(401, 'ID token was signed with an unknown key.');
+
+    const algorithm = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+    const key = await crypto.subtle.importKey('jwk', jwk, algorithm, false, ['verify']);
+    const isSigned = await crypto.subtle.verify(algorithm, key, base64UrlDecode(signaturePart),
+        new TextEncoder().encode(`${headerPart}.${payloadPart}`));
+    if (!isSigned) throw new HttpError(401, 'ID token signature is invalid.');
+
+    const now = Date.now() / 1000;
+    if (payload.aud !== projectId || payload.iss !== `https://securetoken.google.com/${projectId}`) {
+        throw new HttpError(401, 'ID token was issued for another project.');
+    }
+    if (!(payload.exp > now)) throw new HttpError(401, 'ID token has expired.');
+    if (!(payload.iat <= now + 300)) throw new HttpError(401, 'ID token was issued in the future.'); // 5 min clock skew
+    if (typeof payload.sub !== 'string' || !payload.sub) throw new HttpError(401, 'ID token has no user.');
+
+    return payload.sub;
+}
+
+// --- Rate Limiting ---
+
+const recentRequests = new Map(); // uid -> request times, for the fallback limiter
+
+async function checkRateLimit(env, uid) {
+    if (env.GENERATE_RATE_LIMITER) {
+        const { success } = await env.GENERATE_RATE_LIMITER.limit({ key: uid });
+        if (!success) throw new HttpError(429, 'Too many AI requests. Wait a minute and try again.');
+        return;
+    }
+
+    const now = Date.now();
+    const times = (recentRequests.get(uid) || []).filter(time => time > now - FALLBACK_RATE_LIMIT.windowMs);
+    if (times.length >= FALLBACK_RATE_LIMIT.requests) throw new HttpError(429, 'Too many AI requests. Wait a minute and try again.');
+    recentRequests.set(uid, [...times, now]);
+}
+
+// --- Request Handling ---
+
+/** Checks the body's task and input against the allowed shapes and builds the prompts from them. */
+const readGenerateRequest = (body) => {
+    try {
+        return buildPrompt(body?.task, body?.input);
+    } catch (error) {
+        throw new HttpError(400, error.message);
+    }
+};
+
+async function callGemini(env, { systemPrompt, userPrompt, schema, useSearch }) {
+    const payload = {
+        contents: [{ parts: [{ text: userPrompt }] }],
+        ...(useSearch && { tools: [{ "google_search": {} }] }),
+        systemInstruction: { parts: [{ text: systemPrompt }] },
+        ...(schema && { generationConfig: { responseMimeType: "application/json", responseSchema: schema } }),
+    };
+
+    const model = env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL;
+    const response = await fetch(`${GEMINI_API_URL_BASE}${model}:generateContent`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': env.GEMINI_API_KEY },
+        body: JSON.stringify(payload),
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok || result.error) {
+        console.error('Gemini API error:', response.status, JSON.stringify(result.error || result));
+        throw new HttpError(502, `Gemini API Error ${response.status}: ${result.error?.message || 'No error message'}`);
+    }
+
+    const text = result?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+        const blocked = result.candidates?.[0]?.finishReason === 'SAFETY';
+        throw new HttpError(502, blocked ? 'Gemini response was blocked by safety settings.' : 'Gemini response was empty or malformed.');
+    }
+    return text;
+}
+
+async function handleGenerate(request, env) {
+    if (request.method !== 'POST') throw new HttpError(405, 'Use POST.');
+    if (!env.GEMINI_API_KEY || !env.FIREBASE_PROJECT_ID) {
+        throw new HttpError(500, 'The AI proxy is not configured (GEMINI_API_KEY secret and FIREBASE_PROJECT_ID var).');
+    }
+
+    const token = request.headers.get('Authorization')?.match(/^Bearer (.+)$/)?.[1];
+    if (!token) throw new HttpError(401, 'Missing Firebase ID token.');
+    const uid = await verifyIdToken(token, env.FIREBASE_PROJECT_ID);
+
+    const generateRequest = readGenerateRequest(await request.json().catch(() => null));
+    await checkRateLimit(env, uid);
+
+    const text = await callGemini(env, generateRequest);
+    return jsonResponse(200, { text });
+}
+
+export default {
+    async fetch(request, env) {
+        const url = new URL(request.url);
+        if (url.pathname !== '/api/generate') return env.ASSETS.fetch(request);
+
+        try {
+            return await handleGenerate(request, env);
+        } catch (error) {
+            if (error instanceof HttpError) return jsonResponse(error.status, { error: error.message });
+            console.error('AI proxy error:', error);
+            return jsonResponse(500, { error: 'Internal error.' });
+        }
+    },
+};
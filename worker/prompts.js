@@ -0,0 +1,265 @@
+// --- AI Prompts ---
+// Shared by the browser (the LLM Providers section in TriviaGame.jsx) and the AI proxy Worker
+// (worker/index.js). A request names a task and carries its structured input (a topic, a chunk
+// of source text, a question to explain...); the prompts are only ever built here, from input
+// checked against each task's shape, so the proxy can't be used as a general purpose Gemini proxy.
+// No dependencies, so both the Vite and the Worker bundle can import it.
+
+export const GENERATION_BATCH_SIZE = 10; // Questions per request; bigger asks come back truncated or repetitive
+export const SOURCE_CHUNK_SIZE = 6000; // Characters of source text per request
+export const MAX_AVOID_QUESTIONS = 100; // Most recent questions listed in the prompt as "don't repeat"
+const MAX_AVOID_TEXT_LENGTH = 10000; // Characters of that list, so a full source chunk plus the list fits
+const MAX_USER_PROMPT_LENGTH = 20000; // SOURCE_CHUNK_SIZE + MAX_AVOID_TEXT_LENGTH + the instructions
+export const MAX_TOPIC_LENGTH = 200;
+export const MAX_LANGUAGE_LENGTH = 40;
+export const VERIFY_BATCH_SIZE = 10;
+const MAX_QUESTION_TEXT_LENGTH = 1000; // Any question, answer or option read back to the model
+
+export const GENERATOR_DIFFICULTIES = {
+    EASY: 'Easy',
+    MEDIUM: 'Medium',
+    HARD: 'Hard',
+    MIXED: 'Mixed',
+};
+
+export const GENERATOR_AUDIENCES = {
+    GENERAL: 'General audience',
+    KIDS: 'Kids (8-12)',
+    TEENS: 'Teens',
+    EXPERTS: 'Experts',
+};
+
+const QUESTION_TYPES = ['MULTIPLE_CHOICE', 'TRUE_FALSE', 'FREE_TEXT', 'NUMERIC', 'ORDER'];
+
+// --- Response Schemas ---
+
+export const QUESTION_SCHEMA = {
+    type: "ARRAY",
+    description: "A list of trivia questions, each with a question, the correct answer, and three distractors (incorrect options).",
+    items: {
+        type: "OBJECT",
+        properties: {
+            question: { type: "STRING", description: "The trivia question text." },
+            correctAnswer: { type: "STRING", description: "The single correct answer for the question." },
+            distractor1: { type: "STRING", description: "The first incorrect option." },
+            distractor2: { type: "STRING", description: "The second incorrect option." },
+            distractor3: { type: "STRING", description: "The third incorrect option." },
+        },
+        required: ["question", "correctAnswer", "distractor1", "distractor2", "distractor3"],
+        propertyOrdering: ["question", "correctAnswer", "distractor1", "distractor2", "distractor3"]
+    }
+};
+
+// Questions generated from source text: QUESTION_SCHEMA plus a citation
+export const SOURCE_QUESTION_SCHEMA = {
+    ...QUESTION_SCHEMA,
+    description: "A list of trivia questions answerable only from the source text, each with a citation from it.",
+    items: {
+        ...QUESTION_SCHEMA.items,
+        properties: {
+            ...QUESTION_SCHEMA.items.properties,
+            citation: { type: "STRING", description: "A short verbatim quote (at most 25 words) from the source text that contains the answer." },
+        },
+        required: [...QUESTION_SCHEMA.items.required, "citation"],
+        propertyOrdering: [...QUESTION_SCHEMA.items.propertyOrdering, "citation"]
+    }
+};
+
+export const VERIFICATION_SCHEMA = {
+    type: "ARRAY",
+    description: "One verdict per numbered trivia question.",
+    items: {
+        type: "OBJECT",
+        properties: {
+            number: { type: "INTEGER", description: "The number of the question being judged." },
+            verdict: { type: "STRING", enum: ["OK", "AMBIGUOUS", "INCORRECT", "DUPLICATE_OPTIONS"], description: "OK if exactly one option is correct and it is the marked answer." },
+            confidence: { type: "NUMBER", description: "How sure you are of the verdict, from 0 to 1." },
+            issue: { type: "STRING", description: "What is wrong and how to fix it. Empty when the verdict is OK." },
+        },
+        required: ["number", "verdict", "confidence", "issue"],
+        propertyOrdering: ["number", "verdict", "confidence", "issue"]
+    }
+};
+
+// --- Input Checks ---
+
+/**
+ * The "don't repeat" list for a generation request: the most recent questions that fit both
+ * MAX_AVOID_QUESTIONS and the MAX_AVOID_TEXT_LENGTH character budget (each listed as "- question").
+ */
+export const getAvoidList = (questionTexts) => {
+    const avoid = [];
+    let length = 0;
+    for (let i = questionTexts.length - 1; i >= 0 && avoid.length < MAX_AVOID_QUESTIONS; i--) {
+        const text = String(questionTexts[i] ?? '').trim();
+        if (!text || text.length > MAX_QUESTION_TEXT_LENGTH) continue;
+        if (length + text.length + 3 > MAX_AVOID_TEXT_LENGTH) break;
+        avoid.unshift(text);
+        length += text.length + 3;
+    }
+    return avoid;
+};
+
+/** An error for input outside a task's shape. Status 400, like the proxy's reply, so it isn't retried. */
+const invalidInput = (message) => Object.assign(new Error(message), { status: 400 });
+
+const readString = (value, name, maxLength) => {
+    if (typeof value !== 'string' || !value.trim() || value.length > maxLength) {
+        throw invalidInput(`${name} must be a string of 1-${maxLength} characters.`);
+    }
+    return value.trim();
+};
+
+const readStringList = (value, name, maxItems, maxLength) => {
+    if (!Array.isArray(value) || value.length > maxItems) throw invalidInput(`${name} must be a list of at most ${maxItems} items.`);
+    return value.map((item, index) => readString(item, `${name}[${index}]`, maxLength));
+};
+
+const readChoice = (value, name, choices) => {
+    if (!choices.includes(value)) throw invalidInput(`${name} must be one of: ${choices.join(', ')}.`);
+    return value;
+};
+
+const readAvoidList = (value) => {
+    const avoid = readStringList(value, 'avoid', MAX_AVOID_QUESTIONS, MAX_QUESTION_TEXT_LENGTH);
+    if (avoid.reduce((length, text) => length + text.length + 3, 0) > MAX_AVOID_TEXT_LENGTH) {
+        throw invalidInput(`avoid must fit in ${MAX_AVOID_TEXT_LENGTH} characters (see getAvoidList).`);
+    }
+    return avoid;
+};
+
+const readGenerationInput = (input, fromSource) => {
+    if (!Number.isInteger(input.count) || input.count < 1 || input.count > GENERATION_BATCH_SIZE) {
+        throw invalidInput(`count must be a whole number from 1 to ${GENERATION_BATCH_SIZE}.`);
+    }
+    return {
+        ...(fromSource
+            ? { sourceText: readString(input.sourceText, 'sourceText', SOURCE_CHUNK_SIZE) }
+            : { topic: readString(input.topic, 'topic', MAX_TOPIC_LENGTH) }),
+        count: input.count,
+        difficulty: readChoice(input.difficulty, 'difficulty', Object.keys(GENERATOR_DIFFICULTIES)),
+        audience: readChoice(input.audience, 'audience', Object.keys(GENERATOR_AUDIENCES)),
+        language: readString(input.language, 'language', MAX_LANGUAGE_LENGTH),
+        avoid: readAvoidList(input.avoid ?? []),
+    };
+};
+
+const readVerificationQuestion = (question, name) => ({
+    type: readChoice(question?.type, `${name}.type`, QUESTION_TYPES),
+    question: readString(question?.question, `${name}.question`, MAX_QUESTION_TEXT_LENGTH),
+    answer: readString(question?.answer, `${name}.answer`, MAX_QUESTION_TEXT_LENGTH),
+    otherOptions: readStringList(question?.otherOptions ?? [], `${name}.otherOptions`, 10, MAX_QUESTION_TEXT_LENGTH),
+    acceptedAnswers: readStringList(question?.acceptedAnswers ?? [], `${name}.acceptedAnswers`, 20, MAX_QUESTION_TEXT_LENGTH),
+});
+
+// --- Prompts ---
+
+/**
+ * One batch of generated questions: on a topic, or answerable only from a chunk of source text.
+ */
+const buildGenerationPrompt = ({ topic, sourceText, count, difficulty, audience, language, avoid }) => {
+    const difficultyText = difficulty === 'MIXED'
+        ? 'a mix of easy, medium and hard questions'
+        : `${GENERATOR_DIFFICULTIES[difficulty].toLowerCase()} questions`;
+
+    const systemPrompt = [
+        sourceText
+            ? `You are a quiz writer. Create exactly ${count} multiple-choice questions that can be answered ONLY from the source text the user provides. Do not use outside knowledge: every correct answer must be stated in the text. For each question, quote the sentence or phrase that contains the answer word for word as its citation.`
+            : `You are a trivia question generator. Create exactly ${count} multiple-choice trivia questions on the user's topic.`,
+        'Each question MUST have one correct answer and exactly three plausible but clearly wrong distractors, all different from each other.',
+        `Write ${difficultyText} for this audience: ${GENERATOR_AUDIENCES[audience]}.`,
+        `Write the questions and every option in ${language}.`,
+        'The response MUST be a JSON array conforming to the provided schema.',
+    ].join(' ');
+
+    const avoidText = avoid.length > 0
+        ? `\n\nDo not repeat or rephrase any of these questions:\n${avoid.map(question => `- ${question}`).join('\n')}`
+        : '';
+    const userPrompt = sourceText
+        ? `Source text:\n"""\n${sourceText}\n"""\n\nGenerate ${count} questions from this text.${avoidText}`
+        : `Generate ${count} trivia questions about the topic: "${topic}".${avoidText}`;
+
+    return { systemPrompt, userPrompt };
+};
+
+const buildExplanationPrompt = ({ question, answer }) => ({
+    systemPrompt: "You are a fun and engaging trivia master. Provide a concise, single-paragraph, and interesting explanation or fun fact about the correct answer, focusing on the context of the question. Your tone should be bright and educational.",
+    userPrompt: `The trivia question was: "${question}". The correct answer was: "${answer}". Please provide a brief fun fact or explanation (max 3 sentences).`,
+});
+
+/** A question as the verifier reads it: the text, the marked answer and the other options. */
+const describeForVerification = ({ type, question, answer, otherOptions, acceptedAnswers }, number) => {
+    const lines = [`${number}. [${type.toLowerCase().replace(/_/g, ' ')}] ${question}`, `   Marked answer: ${answer}`];
+    if (otherOptions.length) lines.push(`   Other options: ${otherOptions.join(' | ')}`);
+    if (acceptedAnswers.length) lines.push(`   Also accepted: ${acceptedAnswers.join(' | ')}`);
+    return lines.join('\n');
+};
+
+const buildVerificationPrompt = ({ questions }) => ({
+    systemPrompt: [
+        "You are a meticulous trivia fact-checker. For each numbered question, check with search that the marked answer is correct",
+        "and that none of the other options is also a correct answer. Use verdict INCORRECT when the marked answer is wrong,",
+        "AMBIGUOUS when the question could reasonably have more than one answer or is unclear, DUPLICATE_OPTIONS when two options",
+        "mean the same thing, and OK otherwise. The response MUST be a JSON array conforming to the provided schema.",
+    ].join(' '),
+    userPrompt: `Check these trivia questions:\n\n${questions.map((q, i) => describeForVerification(q, i + 1)).join('\n\n')}`,
+});
+
+/**
+ * The tasks, each with its input check, prompt, response schema and whether the model may use
+ * Google Search. Inputs:
+ *   questions        { topic, count, difficulty, audience, language, avoid }
+ *   sourceQuestions  { sourceText, count, difficulty, audience, language, avoid }
+ *   explanation      { question, answer }
+ *   verification     { questions: [{ type, question, answer, otherOptions, acceptedAnswers }] }
+ */
+const PROMPT_TASKS = {
+    questions: {
+        readInput: (input) => readGenerationInput(input, false),
+        buildPrompt: buildGenerationPrompt,
+        schema: QUESTION_SCHEMA,
+        useSearch: true, // Search grounding for accuracy
+    },
+    sourceQuestions: {
+        readInput: (input) => readGenerationInput(input, true),
+        buildPrompt: buildGenerationPrompt,
+        schema: SOURCE_QUESTION_SCHEMA,
+        useSearch: false, // Answers must come from the host's text
+    },
+    explanation: {
+        readInput: (input) => ({
+            question: readString(input.question, 'question', MAX_QUESTION_TEXT_LENGTH),
+            answer: readString(input.answer, 'answer', MAX_QUESTION_TEXT_LENGTH),
+        }),
+        buildPrompt: buildExplanationPrompt,
+        useSearch: true,
+    },
+    verification: {
+        readInput: (input) => {
+            if (!Array.isArray(input.questions) || input.questions.length === 0 || input.questions.length > VERIFY_BATCH_SIZE) {
+                throw invalidInput(`questions must be a list of 1-${VERIFY_BATCH_SIZE} questions.`);
+            }
+            return { questions: input.questions.map((question, index) => readVerificationQuestion(question, `questions[${index}]`)) };
+        },
+        buildPrompt: buildVerificationPrompt,
+        schema: VERIFICATION_SCHEMA,
+        useSearch: true,
+    },
+};
+
+/**
+ * Checks a task's input and builds the request for the model:
+ * { task, input, systemPrompt, userPrompt, schema?, useSearch } where `input` is the checked
+ * input (unknown fields dropped). Throws an error with status 400 for anything else.
+ */
+export const buildPrompt = (task, input) => {
+    if (!Object.hasOwn(PROMPT_TASKS, task)) throw invalidInput(`Unsupported task "${task}".`);
+    if (!input || typeof input !== 'object') throw invalidInput('input must be an object.');
+
+    const { readInput, buildPrompt: build, schema, useSearch } = PROMPT_TASKS[task];
+    const checkedInput = readInput(input);
+    const prompt = build(checkedInput);
+    // The input limits keep every prompt under this; it's checked anyway so a change to them can't slip past
+    if (prompt.userPrompt.length > MAX_USER_PROMPT_LENGTH) throw invalidInput(`The ${task} prompt is too long.`);
+    return { task, input: checkedInput, ...prompt, ...(schema && { schema }), useSearch };
+};